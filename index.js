@@ -6,6 +6,7 @@
 const { Bot, InlineKeyboard } = require("grammy");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
 const express = require("express");
 const dayjs = require("dayjs");
 const utc = require("dayjs/plugin/utc");
@@ -16,83 +17,563 @@ dayjs.extend(timezone);
 // ENV
 const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
 const HEARTBEAT_SECRET = process.env.HEARTBEAT_SECRET || "";
+// temp-admin secret: ADMIN_PASSWORD_HASH (scrypt$salt$hash) or ADMIN_PASSWORD;
+// otherwise owners set it with /setadminpass (stored hashed in settings)
+const ADMIN_PASSWORD_HASH = process.env.ADMIN_PASSWORD_HASH || "";
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "";
 if (!TELEGRAM_TOKEN) {
   console.error("Please set TELEGRAM_TOKEN env var.");
   process.exit(1);
 }
 
 // DB helpers
+// Storage is pluggable: DB_BACKEND=json (default) keeps everything in db.json,
+// DB_BACKEND=sqlite splits the big collections into tables (see SQLITE_TABLES).
+// Both backends load once at startup; the in-memory `db` is the source of truth
+// and writeDbSync only persists what changed since the last write.
 const DB_FILE = path.join(__dirname, "db.json");
+const DB_BACKEND = (process.env.DB_BACKEND || "json").toLowerCase();
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(__dirname, "db.sqlite");
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, "backups");
 
-function loadDbSync() {
+function defaultSettings() {
+  return {
+    vegConfirm: { confirmTime: "23:30", followupMinutes1: 30, followupMinutes2: 60 },
+    inventory: { checkIntervalMinutes: 60 },
+    heartbeat: { thresholdMinutes: 10 },
+    attendancePromptTime: "12:00",
+    endOfDayPaymentCheck: "00:05",
+    monthlyReminderDaysBefore: 7,
+    backup: { intervalHours: 6, keep: 28 },
+    tempAdmin: { ttlMinutes: 60, maxAttempts: 3, windowMinutes: 15, lockoutMinutes: 30 },
+    leave: { paidDays: 1, per: "month" },
+    shifts: {
+      morning: { segments: [["08:00", "16:00"]] },
+      evening: { segments: [["16:00", "23:30"]] },
+      split: { segments: [["10:00", "14:00"], ["18:00", "22:00"]] }
+    },
+    // used for staff without a rostered shift that day; grace periods in minutes
+    timekeeping: {
+      defaultStart: "09:00",
+      defaultEnd: "18:00",
+      lateGraceMinutes: 10,
+      earlyGraceMinutes: 10,
+      overtimeGraceMinutes: 15,
+      // open punches: ask for the out time this long after shift end (then
+      // hourly), close it at shift end + flag it after autoCloseMinutes
+      punchReminderMinutes: 30,
+      autoCloseMinutes: 180,
+      reviewDays: 7
+    },
+    // weeklyOff: default off days for staff without a roster (per-staff
+    // override in staff.weeklyOff); paid weekly offs only apply to monthly pay
+    payroll: { weeklyOff: [], weeklyOffPaid: true, overtimeRate: 1.5 }
+  };
+}
+
+function emptyDb() {
+  return {
+    lastSent: {},
+    partners: [],
+    schedules: [],
+    pendingConfirmations: {},
+    inventory: [],
+    reminders: [],
+    reminderHistory: [],
+    staff: [],
+    payments: [],
+    heartbeats: {},
+    settings: defaultSettings(),
+    audit: [],
+    stockLedger: [],
+    suppliers: [],
+    purchaseOrders: [],
+    stocktakes: [],
+    leaveRequests: [],
+    shiftSwaps: [],
+    deductions: [],
+    payrollRuns: [],
+    advances: [],
+    sessions: {}
+  };
+}
+
+// fill in any missing top-level keys (older db.json files, fresh SQLite files)
+function normalizeDb(data) {
+  data.lastSent = data.lastSent || {};
+  data.partners = data.partners || [];
+  data.schedules = data.schedules || [];
+  data.pendingConfirmations = data.pendingConfirmations || {};
+  // confirmations used to be keyed by bare date (veg list only)
+  for (const key of Object.keys(data.pendingConfirmations)) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(key)) continue;
+    data.pendingConfirmations[`vegetables|${key}`] = data.pendingConfirmations[key];
+    delete data.pendingConfirmations[key];
+  }
+  data.inventory = data.inventory || [];
+  data.reminders = data.reminders || [];
+  data.reminderHistory = data.reminderHistory || [];
+  data.staff = data.staff || [];
+  data.payments = data.payments || [];
+  // older payment rows predate ids; derive a stable one from when + position
+  data.payments.forEach((p, i) => {
+    if (!p.id) p.id = `pay${dayjs(p.when).valueOf()}_${i}`;
+  });
+  data.heartbeats = data.heartbeats || {};
+  data.settings = data.settings || defaultSettings();
+  data.audit = data.audit || [];
+  // audit details are always a string (or null) so both backends return the same shape
+  for (const a of data.audit) a.details = auditDetails(a.details);
+  data.stockLedger = data.stockLedger || [];
+  data.suppliers = data.suppliers || [];
+  data.purchaseOrders = data.purchaseOrders || [];
+  data.stocktakes = data.stocktakes || [];
+  data.leaveRequests = data.leaveRequests || [];
+  data.shiftSwaps = data.shiftSwaps || [];
+  data.deductions = data.deductions || [];
+  data.payrollRuns = data.payrollRuns || [];
+  data.advances = data.advances || [];
+  data.sessions = data.sessions || {};
+  return data;
+}
+
+// write to a temp file, fsync, then rename over the target — a crash mid-write
+// leaves either the old file or the new one, never a truncated mix
+function writeFileAtomicSync(file, content) {
+  const tmp = `${file}.tmp-${process.pid}`;
+  const fd = fs.openSync(tmp, "w");
   try {
-    const raw = fs.readFileSync(DB_FILE, "utf8");
-    const data = JSON.parse(raw || "{}");
-    data.lastSent = data.lastSent || {};
-    data.partners = data.partners || [];
-    data.schedules = data.schedules || [];
-    data.pendingConfirmations = data.pendingConfirmations || {};
-    data.inventory = data.inventory || [];
-    data.reminders = data.reminders || [];
-    data.reminderHistory = data.reminderHistory || [];
-    data.staff = data.staff || [];
-    data.payments = data.payments || [];
-    data.heartbeats = data.heartbeats || {};
-    data.settings = data.settings || {
-      vegConfirm: { confirmTime: "23:30", followupMinutes1: 30, followupMinutes2: 60 },
-      inventory: { checkIntervalMinutes: 60 },
-      heartbeat: { thresholdMinutes: 10 },
-      attendancePromptTime: "12:00",
-      endOfDayPaymentCheck: "00:05",
-      monthlyReminderDaysBefore: 7
-    };
-    data.audit = data.audit || [];
-    data.sessions = data.sessions || {};
-    return data;
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+// problems found while loading; sent to owners once the bot is up
+const storageNotices = [];
+
+// backups: timestamped JSON snapshots in BACKUP_DIR (works for both backends)
+const BACKUP_RE = /^db-\d{8}-\d{6}(-[a-z]+)?\.json$/;
+
+function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs
+    .readdirSync(BACKUP_DIR)
+    .filter(f => BACKUP_RE.test(f))
+    .map(f => {
+      const st = fs.statSync(path.join(BACKUP_DIR, f));
+      return { file: f, when: st.mtime.toISOString(), mtime: st.mtimeMs, size: st.size };
+    })
+    .sort((a, b) => b.mtime - a.mtime || (a.file < b.file ? 1 : -1));
+}
+
+function readBackup(file) {
+  if (!BACKUP_RE.test(file)) throw new Error("not a backup file");
+  const raw = fs.readFileSync(path.join(BACKUP_DIR, file), "utf8");
+  const data = JSON.parse(raw);
+  if (!data || typeof data !== "object" || !Array.isArray(data.staff || [])) {
+    throw new Error("backup does not look like a database");
+  }
+  return data;
+}
+
+function createBackup(data, tag = "") {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  const file = `db-${dayjs().format("YYYYMMDD-HHmmss")}${tag ? "-" + tag : ""}.json`;
+  writeFileAtomicSync(path.join(BACKUP_DIR, file), JSON.stringify(data, null, 2));
+  pruneBackups(data.settings && data.settings.backup && data.settings.backup.keep);
+  return file;
+}
+
+function pruneBackups(keep) {
+  const max = Number(keep) || 28;
+  for (const b of listBackups().slice(max)) {
+    try {
+      fs.unlinkSync(path.join(BACKUP_DIR, b.file));
+    } catch (e) {
+      console.error("backup prune err", e.message);
+    }
+  }
+}
+
+// move an unreadable db file aside so it can be inspected, never overwritten
+function quarantineFile(file, reason) {
+  const target = `${file}.corrupt-${dayjs().format("YYYYMMDD-HHmmss")}`;
+  fs.renameSync(file, target);
+  console.error(`Database file ${file} is unreadable (${reason}); moved to ${target}.`);
+  return target;
+}
+
+// move an unreadable db.json aside and fall back to the newest backup (or empty)
+function recoverCorruptJson(file, reason) {
+  const moved = quarantineFile(file, reason);
+  let data = emptyDb();
+  let note = `🚨 db.json was unreadable (${reason}). It was moved to ${path.basename(moved)}`;
+  const latest = listBackups()[0];
+  if (latest) {
+    try {
+      data = readBackup(latest.file);
+      note += ` and the latest backup ${latest.file} was restored.`;
+    } catch (be) {
+      note += `; backup ${latest.file} failed too (${be.message}), starting EMPTY.`;
+    }
+  } else {
+    note += "; no backups found, starting EMPTY.";
+  }
+  storageNotices.push(note);
+  return data;
+}
+
+// JSON backend: whole-file db.json, atomic writes, skipped when nothing changed
+function createJsonStorage(file) {
+  let lastWritten = null;
+  return {
+    name: "json",
+    load() {
+      if (!fs.existsSync(file)) {
+        const init = emptyDb();
+        this.save(init);
+        return init;
+      }
+      const raw = fs.readFileSync(file, "utf8");
+      try {
+        if (!raw.trim()) throw new Error("file is empty");
+        const data = JSON.parse(raw);
+        lastWritten = raw;
+        return data;
+      } catch (e) {
+        const data = recoverCorruptJson(file, e.message);
+        this.save(data);
+        return data;
+      }
+    },
+    save(data) {
+      const out = JSON.stringify(data, null, 2);
+      if (out === lastWritten) return true;
+      writeFileAtomicSync(file, out);
+      lastWritten = out;
+      return true;
+    }
+  };
+}
+
+// SQLite backend: one table per growing collection, everything else in `kv`.
+// Each table maps the in-memory shape to rows ({ key, cols }) and back.
+const SQLITE_TABLES = {
+  staff: {
+    ddl: "CREATE TABLE IF NOT EXISTS staff (id TEXT PRIMARY KEY, pos INTEGER NOT NULL, data TEXT NOT NULL)",
+    cols: ["id", "pos", "data"],
+    keyCols: ["id"],
+    rows: data =>
+      data.staff.map((s, pos) => {
+        const { attendance, ...rest } = s;
+        return { key: String(s.id), cols: [String(s.id), pos, JSON.stringify(rest)] };
+      })
+  },
+  attendance: {
+    ddl:
+      "CREATE TABLE IF NOT EXISTS attendance (staff_id TEXT NOT NULL, date TEXT NOT NULL, data TEXT NOT NULL, PRIMARY KEY (staff_id, date))",
+    cols: ["staff_id", "date", "data"],
+    keyCols: ["staff_id", "date"],
+    rows: data => {
+      const out = [];
+      for (const s of data.staff) {
+        for (const [date, rec] of Object.entries(s.attendance || {})) {
+          out.push({ key: `${s.id}|${date}`, cols: [String(s.id), date, JSON.stringify(rec)] });
+        }
+      }
+      return out;
+    }
+  },
+  payments: {
+    ddl: "CREATE TABLE IF NOT EXISTS payments (seq INTEGER PRIMARY KEY, staff_id TEXT, data TEXT NOT NULL)",
+    cols: ["seq", "staff_id", "data"],
+    keyCols: ["seq"],
+    rows: data =>
+      data.payments.map((p, seq) => ({
+        key: String(seq),
+        cols: [seq, String(p.staffId), JSON.stringify(p)]
+      }))
+  },
+  inventory: {
+    ddl: "CREATE TABLE IF NOT EXISTS inventory (id TEXT PRIMARY KEY, pos INTEGER NOT NULL, data TEXT NOT NULL)",
+    cols: ["id", "pos", "data"],
+    keyCols: ["id"],
+    rows: data =>
+      data.inventory.map((it, pos) => ({
+        key: String(it.id),
+        cols: [String(it.id), pos, JSON.stringify(it)]
+      }))
+  },
+  reminders: {
+    ddl: "CREATE TABLE IF NOT EXISTS reminders (id TEXT PRIMARY KEY, pos INTEGER NOT NULL, data TEXT NOT NULL)",
+    cols: ["id", "pos", "data"],
+    keyCols: ["id"],
+    rows: data =>
+      data.reminders.map((r, pos) => ({
+        key: String(r.id),
+        cols: [String(r.id), pos, JSON.stringify(r)]
+      }))
+  },
+  audit: {
+    ddl:
+      "CREATE TABLE IF NOT EXISTS audit (seq INTEGER PRIMARY KEY, when_at TEXT, actor TEXT, action TEXT, details TEXT)",
+    cols: ["seq", "when_at", "actor", "action", "details"],
+    keyCols: ["seq"],
+    appendOnly: "audit",
+    rows: (data, from = 0) =>
+      data.audit.slice(from).map((a, i) => ({
+        key: String(from + i),
+        cols: [
+          from + i,
+          a.when,
+          a.actor,
+          a.action,
+          auditDetails(a.details)
+        ]
+      }))
+  },
+  stock_ledger: {
+    ddl:
+      "CREATE TABLE IF NOT EXISTS stock_ledger (seq INTEGER PRIMARY KEY, item_id TEXT, type TEXT, when_at TEXT, data TEXT NOT NULL)",
+    cols: ["seq", "item_id", "type", "when_at", "data"],
+    keyCols: ["seq"],
+    appendOnly: "stockLedger",
+    rows: (data, from = 0) =>
+      data.stockLedger.slice(from).map((m, i) => ({
+        key: String(from + i),
+        cols: [from + i, String(m.itemId), m.type, m.when, JSON.stringify(m)]
+      }))
+  },
+  sessions: {
+    ddl: "CREATE TABLE IF NOT EXISTS sessions (user_id TEXT PRIMARY KEY, data TEXT NOT NULL)",
+    cols: ["user_id", "data"],
+    keyCols: ["user_id"],
+    rows: data =>
+      Object.entries(data.sessions).map(([userId, sess]) => ({
+        key: userId,
+        cols: [userId, JSON.stringify(sess)]
+      }))
+  }
+};
+const SQLITE_KV_SKIP = ["staff", "payments", "inventory", "reminders", "audit", "stockLedger", "sessions"];
+
+function createSqliteStorage(file) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
   } catch (e) {
-    const init = {
-      lastSent: {},
-      partners: [],
-      schedules: [],
-      pendingConfirmations: {},
-      inventory: [],
-      reminders: [],
-      reminderHistory: [],
-      staff: [],
-      payments: [],
-      heartbeats: {},
-      settings: {
-        vegConfirm: { confirmTime: "23:30", followupMinutes1: 30, followupMinutes2: 60 },
-        inventory: { checkIntervalMinutes: 60 },
-        heartbeat: { thresholdMinutes: 10 },
-        attendancePromptTime: "12:00",
-        endOfDayPaymentCheck: "00:05",
-        monthlyReminderDaysBefore: 7
-      },
-      audit: [],
-      sessions: {}
+    console.error("DB_BACKEND=sqlite needs the better-sqlite3 package: npm install better-sqlite3");
+    process.exit(1);
+  }
+  const sql = new Database(file);
+  sql.pragma("journal_mode = WAL");
+  sql.exec("CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)");
+  sql.exec("CREATE TABLE IF NOT EXISTS kv (key TEXT PRIMARY KEY, value TEXT NOT NULL)");
+  for (const t of Object.values(SQLITE_TABLES)) sql.exec(t.ddl);
+
+  const stmts = {};
+  for (const [name, t] of Object.entries(SQLITE_TABLES)) {
+    stmts[name] = {
+      upsert: sql.prepare(
+        `INSERT OR REPLACE INTO ${name} (${t.cols.join(", ")}) VALUES (${t.cols.map(() => "?").join(", ")})`
+      ),
+      remove: sql.prepare(
+        `DELETE FROM ${name} WHERE ${t.keyCols.map(c => `${c} = ?`).join(" AND ")}`
+      )
     };
-    fs.writeFileSync(DB_FILE, JSON.stringify(init, null, 2));
-    return init;
   }
+  const kvUpsert = sql.prepare("INSERT OR REPLACE INTO kv (key, value) VALUES (?, ?)");
+  const kvRemove = sql.prepare("DELETE FROM kv WHERE key = ?");
+  const markInitialized = sql.prepare("INSERT OR IGNORE INTO meta (key, value) VALUES ('initializedAt', ?)");
+
+  // last persisted state: table -> Map(rowKey -> serialized cols), plus kv values
+  const saved = {};
+  for (const name of Object.keys(SQLITE_TABLES)) saved[name] = new Map();
+  const savedKv = new Map();
+
+  function remember(data) {
+    for (const [name, t] of Object.entries(SQLITE_TABLES)) {
+      saved[name] = new Map(t.rows(data).map(r => [r.key, JSON.stringify(r.cols)]));
+    }
+    savedKv.clear();
+    for (const [k, v] of Object.entries(data)) {
+      if (!SQLITE_KV_SKIP.includes(k)) savedKv.set(k, JSON.stringify(v));
+    }
+  }
+
+  const writeChanges = sql.transaction((data, full) => {
+    for (const [name, t] of Object.entries(SQLITE_TABLES)) {
+      const prev = saved[name];
+      // logs only grow; don't re-serialize history on every write
+      const from = !full && t.appendOnly && data[t.appendOnly].length >= prev.size ? prev.size : 0;
+      const rows = t.rows(data, from);
+      const seen = new Set();
+      for (const r of rows) {
+        seen.add(r.key);
+        const ser = JSON.stringify(r.cols);
+        if (prev.get(r.key) === ser) continue;
+        stmts[name].upsert.run(...r.cols);
+        prev.set(r.key, ser);
+      }
+      if (from > 0) continue;
+      for (const key of [...prev.keys()]) {
+        if (seen.has(key)) continue;
+        stmts[name].remove.run(...JSON.parse(prev.get(key)).slice(0, t.keyCols.length));
+        prev.delete(key);
+      }
+    }
+    for (const [k, v] of Object.entries(data)) {
+      if (SQLITE_KV_SKIP.includes(k)) continue;
+      const ser = JSON.stringify(v);
+      if (savedKv.get(k) === ser) continue;
+      kvUpsert.run(k, ser);
+      savedKv.set(k, ser);
+    }
+    for (const k of [...savedKv.keys()]) {
+      if (k in data) continue;
+      kvRemove.run(k);
+      savedKv.delete(k);
+    }
+  });
+
+  const byPos = (a, b) => a.pos - b.pos;
+  return {
+    name: "sqlite",
+    sql,
+    isEmpty() {
+      return !sql.prepare("SELECT value FROM meta WHERE key = 'initializedAt'").get();
+    },
+    load() {
+      const data = {};
+      for (const row of sql.prepare("SELECT key, value FROM kv").all()) {
+        data[row.key] = JSON.parse(row.value);
+      }
+      const attendance = {};
+      for (const row of sql.prepare("SELECT staff_id, date, data FROM attendance").all()) {
+        attendance[row.staff_id] = attendance[row.staff_id] || {};
+        attendance[row.staff_id][row.date] = JSON.parse(row.data);
+      }
+      data.staff = sql
+        .prepare("SELECT pos, data FROM staff")
+        .all()
+        .sort(byPos)
+        .map(row => {
+          const s = JSON.parse(row.data);
+          s.attendance = attendance[String(s.id)] || {};
+          return s;
+        });
+      data.payments = sql
+        .prepare("SELECT data FROM payments ORDER BY seq")
+        .all()
+        .map(row => JSON.parse(row.data));
+      data.inventory = sql.prepare("SELECT pos, data FROM inventory").all().sort(byPos).map(row => JSON.parse(row.data));
+      data.reminders = sql.prepare("SELECT pos, data FROM reminders").all().sort(byPos).map(row => JSON.parse(row.data));
+      data.audit = sql
+        .prepare("SELECT when_at, actor, action, details FROM audit ORDER BY seq")
+        .all()
+        .map(row => ({ when: row.when_at, actor: row.actor, action: row.action, details: row.details }));
+      data.stockLedger = sql
+        .prepare("SELECT data FROM stock_ledger ORDER BY seq")
+        .all()
+        .map(row => JSON.parse(row.data));
+      data.sessions = {};
+      for (const row of sql.prepare("SELECT user_id, data FROM sessions").all()) {
+        data.sessions[row.user_id] = JSON.parse(row.data);
+      }
+      normalizeDb(data);
+      remember(data);
+      return data;
+    },
+    // full: compare every row, e.g. after a restore replaced the logs wholesale
+    save(data, opts = {}) {
+      writeChanges(data, !!opts.full);
+      markInitialized.run(dayjs().toISOString());
+      return true;
+    }
+  };
+}
+
+// one-time import of an existing db.json into a fresh SQLite file
+function migrateJsonToSqlite(store, jsonFile) {
+  if (!store.isEmpty()) return false;
+  let data = emptyDb();
+  const source = fs.existsSync(jsonFile) ? jsonFile : "";
+  if (source) {
+    const raw = fs.readFileSync(jsonFile, "utf8");
+    try {
+      data = normalizeDb(JSON.parse(raw || "{}"));
+    } catch (e) {
+      // same recovery as the JSON backend: quarantine, then the newest backup
+      data = normalizeDb(recoverCorruptJson(jsonFile, e.message));
+    }
+    data.audit.push({
+      when: dayjs().toISOString(),
+      actor: "system",
+      action: "db_migrated",
+      details: `${path.basename(jsonFile)} -> ${path.basename(SQLITE_FILE)}`
+    });
+    console.log(`Imported ${jsonFile} into ${SQLITE_FILE}.`);
+  }
+  store.save(data);
+  store.sql
+    .prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('migratedFrom', ?)")
+    .run(source);
+  return true;
+}
+
+function createStorage() {
+  if (DB_BACKEND === "sqlite") {
+    const store = createSqliteStorage(SQLITE_FILE);
+    migrateJsonToSqlite(store, DB_FILE);
+    return store;
+  }
+  if (DB_BACKEND !== "json") {
+    console.error(`Unknown DB_BACKEND "${DB_BACKEND}" — use json or sqlite.`);
+    process.exit(1);
+  }
+  return createJsonStorage(DB_FILE);
+}
+
+const storage = createStorage();
+
+function loadDbSync() {
+  return normalizeDb(storage.load());
 }
 
 function writeDbSync(db) {
   try {
-    fs.writeFileSync(DB_FILE, JSON.stringify(db, null, 2));
-    return true;
+    return storage.save(db);
   } catch (e) {
-    console.error("Failed writing db.json:", e.message);
+    console.error(`Failed writing ${storage.name} database:`, e.message);
     return false;
   }
 }
 
 let db = loadDbSync();
+// the bot is the only writer, so the loaded copy stays authoritative;
+// reloadDb just keeps older data shapes filled in
 function reloadDb() {
-  db = loadDbSync();
+  normalizeDb(db);
+}
+
+// swap the live database for a backup; a "prerestore" copy of the current state is kept
+function restoreBackup(file) {
+  const data = normalizeDb(readBackup(file));
+  const safety = createBackup(db, "prerestore");
+  storage.save(data, { full: true });
+  db = data;
+  return safety;
 }
 
 // helpers
+function auditDetails(details) {
+  if (details === undefined || details === null) return null;
+  return typeof details === "string" ? details : JSON.stringify(details);
+}
+
 function logAudit(actor, action, details) {
   reloadDb();
   db.audit = db.audit || [];
@@ -100,11 +581,13 @@ function logAudit(actor, action, details) {
     when: dayjs().toISOString(),
     actor: String(actor),
     action,
-    details
+    details: auditDetails(details)
   });
   writeDbSync(db);
 }
 
+if (storageNotices.length) logAudit("system", "db_quarantined", storageNotices.join(" "));
+
 // sessions: keep tempAdmin + interactive flows together
 function setSession(userId, obj) {
   reloadDb();
@@ -116,7 +599,9 @@ function setSession(userId, obj) {
 function getSession(userId) {
   reloadDb();
   db.sessions = db.sessions || {};
-  return db.sessions[String(userId)] || null;
+  const sess = db.sessions[String(userId)];
+  // hand out a copy: flows keep reading their session after clearSession()
+  return sess ? JSON.parse(JSON.stringify(sess)) : null;
 }
 function clearSession(userId) {
   reloadDb();
@@ -170,20 +655,167 @@ function upsertStaff(userId, name, role = "staff", tz = "Asia/Kolkata") {
   return s;
 }
 
-// isAdmin: permanent (owner/admin) OR tempAdmin session
-function isAdmin(userId) {
-  reloadDb();
+// roles & permissions
+// owner always has everything; "admin" is the legacy full-access role and is
+// also what a temp-admin session runs as. Owners can edit the matrix from the
+// Admin menu, overrides live in db.settings.permissions.
+const ROLES = ["owner", "admin", "manager", "storekeeper", "cashier", "staff"];
+const PERMISSIONS = {
+  "inventory.use": "Record usage & waste",
+  "inventory.purchase": "Purchases, reorder & purchase orders",
+  "inventory.manage": "Items, usage, costs, batches, suppliers, stock-take",
+  "inventory.reports": "Ledger, spend & waste reports",
+  "staff.view": "See every employee profile & attendance",
+  "staff.edit": "Add/edit/hold/remove employees, roles & salary",
+  "attendance.mark": "Mark attendance for others",
+  "payroll.view": "See salaries, payments & exports",
+  "payroll.pay": "Record salary payments",
+  "leave.approve": "Approve or reject leave requests",
+  "roster.manage": "Shifts, weekly roster & swap approvals",
+  "reminders.broadcast": "Reminders for everyone or other people",
+  "partners.manage": "Add/remove partners",
+  "system.admin": "Admin menu, devices, backups & restore"
+};
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: Object.keys(PERMISSIONS),
+  manager: [
+    "inventory.use", "inventory.purchase", "inventory.manage", "inventory.reports",
+    "staff.view", "staff.edit", "attendance.mark", "payroll.view", "leave.approve", "roster.manage",
+    "reminders.broadcast"
+  ],
+  storekeeper: ["inventory.use", "inventory.purchase", "inventory.manage", "inventory.reports"],
+  cashier: ["inventory.use", "attendance.mark", "payroll.view", "payroll.pay"],
+  staff: ["inventory.use"]
+};
+
+// permanent role: partner entry wins over staff entry; null for strangers
+function baseRoleOf(userId) {
   const p = db.partners.find(x => String(x.id) === String(userId));
-  if (p && (p.role === "owner" || p.role === "admin")) return true;
+  if (p) return ROLES.includes(p.role) ? p.role : "staff";
+  const s = db.staff.find(x => String(x.id) === String(userId));
+  if (s) return ROLES.includes(s.role) ? s.role : "staff";
+  return null;
+}
 
+// effective role: tempAdmin session lifts anyone below owner to admin
+function roleOf(userId) {
+  reloadDb();
+  const role = baseRoleOf(userId);
+  if (role === "owner") return role;
   const sess = db.sessions && db.sessions[String(userId)];
-  if (sess && sess.tempAdmin === true) return true;
+  if (tempAdminActive(sess)) return "admin";
+  return role;
+}
 
-  return false;
+function rolePermissions(role) {
+  if (role === "owner") return Object.keys(PERMISSIONS);
+  const custom = (db.settings.permissions || {})[role];
+  return Array.isArray(custom) ? custom : (DEFAULT_ROLE_PERMISSIONS[role] || []);
+}
+
+function can(userId, perm) {
+  const role = roleOf(userId);
+  if (!role) return false;
+  return rolePermissions(role).includes(perm);
+}
+
+// everyone (partners + staff) whose effective role grants perm
+function usersWithPermission(perm) {
+  const ids = new Set([...db.partners, ...db.staff].map(x => String(x.id)));
+  return [...ids].filter(id => can(id, perm));
+}
+
+function isOwner(userId) {
+  reloadDb();
+  return baseRoleOf(userId) === "owner";
+}
+
+// granting a role needs everything it carries: owners can grant any role,
+// everyone else only roles whose permissions their own permanent role already has
+// (a temp-admin session cannot hand out admin for good)
+function canGrantRole(userId, role) {
+  if (isOwner(userId)) return true;
+  if (role === "owner") return false;
+  const own = rolePermissions(baseRoleOf(userId));
+  return rolePermissions(role).every(perm => own.includes(perm));
+}
+
+function noPerm(perm) {
+  return `Not authorized — needs ${perm}.`;
+}
+
+// temp admin: passwords are only ever kept as scrypt$<salt>$<hash>
+function hashPassword(plain, salt = crypto.randomBytes(16).toString("hex")) {
+  return `scrypt$${salt}$${crypto.scryptSync(String(plain), salt, 32).toString("hex")}`;
+}
+function verifyPassword(plain, stored) {
+  const [algo, salt, hash] = String(stored || "").split("$");
+  if (algo !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = Buffer.from(hashPassword(plain, salt).split("$")[2], "hex");
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+const ENV_ADMIN_HASH = ADMIN_PASSWORD_HASH || (ADMIN_PASSWORD ? hashPassword(ADMIN_PASSWORD) : "");
+
+function tempAdminSettings() {
+  return { ...defaultSettings().tempAdmin, ...(db.settings.tempAdmin || {}) };
+}
+function adminPasswordHash() {
+  return ENV_ADMIN_HASH || tempAdminSettings().passwordHash || "";
+}
+// grants from before expiry existed run out ttlMinutes after tempAdminSince
+function tempAdminExpiry(sess) {
+  if (sess.tempAdminUntil) return dayjs(sess.tempAdminUntil);
+  return dayjs(sess.tempAdminSince || 0).add(tempAdminSettings().ttlMinutes, "minute");
+}
+// expired grants count as revoked even before the scheduler cleans them up
+function tempAdminActive(sess) {
+  if (!sess || sess.tempAdmin !== true) return false;
+  return dayjs().isBefore(tempAdminExpiry(sess));
+}
+function revokeTempAdmin(sess) {
+  delete sess.tempAdmin;
+  delete sess.tempAdminSince;
+  delete sess.tempAdminUntil;
 }
 
 // inventory helpers
+const round2 = n => Math.round(n * 100) / 100;
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+function fmtMoney(n) {
+  const sign = n < 0 ? "-" : "";
+  return `${sign}₹${Math.abs(round2(n)).toLocaleString("en-IN")}`;
+}
+
+// current per-unit value of an item, null when no cost is known
+function itemUnitCost(item) {
+  const c = Number(item.unitCost);
+  return c > 0 ? c : null;
+}
+
+function isWeekendDay(d) {
+  const weekend = (db.settings.inventory || {}).weekendDays || [0, 6];
+  return weekend.includes(d.day());
+}
+
+// with a learned weekday/weekend pattern, walk forward day by day so a busy
+// weekend ahead shortens the estimate; otherwise stock / flat dailyUsage
 function calcDaysLeft(item) {
+  const pat = item.usagePattern;
+  if (pat && (pat.weekday > 0 || pat.weekend > 0)) {
+    let left = Number(item.stock) || 0;
+    let day = dayjs().tz("Asia/Kolkata");
+    for (let i = 0; i < 366; i++) {
+      const rate = isWeekendDay(day) ? pat.weekend : pat.weekday;
+      if (rate > 0) {
+        if (left < rate) return i + left / rate;
+        left -= rate;
+      }
+      day = day.add(1, "day");
+    }
+    return Infinity;
+  }
   if (!item.dailyUsage || item.dailyUsage <= 0) return Infinity;
   return item.stock / item.dailyUsage;
 }
@@ -200,6 +832,466 @@ function findInventoryItemFlexible(key) {
   );
 }
 
+// stock ledger: every change to item.stock goes through recordStockMovement
+// so the history explains the current number. qty is signed (+in / -out).
+// Stock is rounded like batch quantities so the two never drift apart.
+const STOCK_MOVEMENT_TYPES = ["purchase", "usage", "wastage", "adjustment"];
+
+function recordStockMovement(item, type, qty, actor, extra = {}) {
+  if (!STOCK_MOVEMENT_TYPES.includes(type)) throw new Error(`unknown stock movement: ${type}`);
+  db.stockLedger = db.stockLedger || [];
+  const when = dayjs().toISOString();
+  if (item.trackBatches) extra = { ...extra, batches: updateBatches(item, Number(qty), extra) };
+  item.stock = round2((Number(item.stock) || 0) + Number(qty));
+  item.lastUpdated = when;
+  const entry = {
+    id: `m${Date.now()}${Math.floor(Math.random() * 1000)}`,
+    itemId: item.id,
+    type,
+    qty: Number(qty),
+    stockAfter: item.stock,
+    actor: String(actor),
+    when,
+    ...extra
+  };
+  db.stockLedger.push(entry);
+  return entry;
+}
+
+// batches (perishables): stock in creates a batch with extra.expiry, stock out
+// consumes first-expired-first-out (or only extra.batchId for write-offs).
+// Returns [{ batchId, qty }] touched, kept on the ledger entry.
+function fefoOrder(batches) {
+  return [...batches].sort((a, b) => {
+    if (a.expiry === b.expiry) return a.receivedAt < b.receivedAt ? -1 : 1;
+    if (!a.expiry) return 1;
+    if (!b.expiry) return -1;
+    return a.expiry < b.expiry ? -1 : 1;
+  });
+}
+
+function updateBatches(item, qty, extra = {}) {
+  item.batches = item.batches || [];
+  if (qty > 0) {
+    const b = {
+      id: `b${Date.now()}${Math.floor(Math.random() * 1000)}`,
+      qty,
+      expiry: extra.expiry || null,
+      receivedAt: dayjs().toISOString()
+    };
+    item.batches.push(b);
+    return [{ batchId: b.id, qty }];
+  }
+  let need = -qty;
+  const taken = [];
+  const order = extra.batchId ? item.batches.filter(b => b.id === extra.batchId) : fefoOrder(item.batches);
+  for (const b of order) {
+    if (need <= 0) break;
+    const t = Math.min(b.qty, need);
+    b.qty = round2(b.qty - t);
+    need = round2(need - t);
+    taken.push({ batchId: b.id, qty: t });
+  }
+  item.batches = item.batches.filter(b => b.qty > 0);
+  return taken;
+}
+
+// "YYYY-MM-DD" or a number of days from today (IST) -> "YYYY-MM-DD"
+function parseExpiry(text) {
+  const t = String(text).trim();
+  if (/^\d{1,3}$/.test(t)) return dayjs().tz("Asia/Kolkata").add(Number(t), "day").format("YYYY-MM-DD");
+  // customParseFormat isn't loaded, so strict parsing is a no-op: round-trip
+  // instead, or 2024-02-31 slips through and never matches the expiry checks
+  const d = dayjs(t);
+  return /^\d{4}-\d{2}-\d{2}$/.test(t) && d.isValid() && d.format("YYYY-MM-DD") === t ? t : null;
+}
+
+function expiryKeyboard(itemId, batchId) {
+  return new InlineKeyboard()
+    .text("✅ OK / Noted", `expack:${itemId}:${batchId}`)
+    .text("🗑 Write off", `expwo:${itemId}:${batchId}`);
+}
+
+// waste: kept apart from usage so learned usage and cost reports stay clean
+const WASTE_REASONS = ["spoiled", "burnt", "dropped", "expired", "other"];
+
+function recordWaste(item, qty, reason, actor) {
+  const take = Math.min(Number(qty), Math.max(Number(item.stock) || 0, 0));
+  if (take <= 0) return 0;
+  recordStockMovement(item, "wastage", -take, actor, { reason, unitCost: itemUnitCost(item) });
+  return take;
+}
+
+// waste between two instants, grouped per item and per reason
+function getWasteSummary(from, to) {
+  const byItem = {};
+  const byReason = {};
+  let totalValue = 0;
+  let count = 0;
+  for (const m of db.stockLedger) {
+    if (m.type !== "wastage") continue;
+    const when = dayjs(m.when);
+    if (when.isBefore(from) || !when.isBefore(to)) continue;
+    const qty = -m.qty;
+    const value = m.unitCost ? qty * m.unitCost : 0;
+    const reason = m.reason || "other";
+    byItem[m.itemId] = byItem[m.itemId] || { qty: 0, value: 0 };
+    byItem[m.itemId].qty += qty;
+    byItem[m.itemId].value += value;
+    byReason[reason] = byReason[reason] || { count: 0, value: 0 };
+    byReason[reason].count++;
+    byReason[reason].value += value;
+    totalValue += value;
+    count++;
+  }
+  return { byItem, byReason, totalValue, count };
+}
+
+function wasteSummaryText(title, sum) {
+  if (!sum.count) return `🗑 ${title}\nNo waste recorded.`;
+  const itemLines = Object.entries(sum.byItem)
+    .sort((a, b) => b[1].value - a[1].value || b[1].qty - a[1].qty)
+    .map(([id, v]) => {
+      const it = db.inventory.find(i => i.id === id) || { name: id, unit: "" };
+      return `• ${it.name}: ${round2(v.qty)} ${it.unit}${v.value ? ` (${fmtMoney(v.value)})` : ""}`;
+    });
+  const reasonLines = Object.entries(sum.byReason)
+    .sort((a, b) => b[1].count - a[1].count)
+    .map(([r, v]) => `• ${r}: ${v.count} time(s)${v.value ? ` (${fmtMoney(v.value)})` : ""}`);
+  return (
+    `🗑 ${title}\n\nBy item:\n${itemLines.join("\n")}\n\nBy reason:\n${reasonLines.join("\n")}` +
+    `\n\nTotal value wasted: ${fmtMoney(sum.totalValue)}`
+  );
+}
+
+// deduct usage without letting stock go below zero; returns the amount actually taken
+function deductUsage(item, qty, actor, extra = {}) {
+  const take = Math.min(Number(qty), Math.max(Number(item.stock) || 0, 0));
+  if (take <= 0) return 0;
+  recordStockMovement(item, "usage", -take, actor, extra);
+  return take;
+}
+
+// manual usage already recorded for an item on a business day (YYYY-MM-DD, IST)
+function usageRecordedOn(itemId, date) {
+  return (db.stockLedger || [])
+    .filter(
+      m =>
+        m.itemId === itemId &&
+        m.type === "usage" &&
+        !m.auto &&
+        dayjs(m.when).tz("Asia/Kolkata").format("YYYY-MM-DD") === date
+    )
+    .reduce((sum, m) => sum - m.qty, 0);
+}
+
+// observed consumption from the ledger over complete IST days (today excluded).
+// Auto deductions count too: they only top up what /use did not record, so
+// skipping them would let autoDeduct + auto-learn shrink dailyUsage day by day.
+// Windows shrink to the days since usage was first recorded for the item.
+function getObservedUsage(itemId) {
+  const today = dayjs().tz("Asia/Kolkata").startOf("day");
+  const perDay = {};
+  let first = null;
+  for (const m of db.stockLedger || []) {
+    if (m.itemId !== itemId || m.type !== "usage") continue;
+    const d = dayjs(m.when).tz("Asia/Kolkata").startOf("day");
+    if (!d.isBefore(today)) continue;
+    if (!first || d.isBefore(first)) first = d;
+    const key = d.format("YYYY-MM-DD");
+    perDay[key] = (perDay[key] || 0) - m.qty;
+  }
+  if (!first) return null;
+  const span = today.diff(first, "day");
+  const windowAvg = n => {
+    const days = Math.min(n, span);
+    let sum = 0;
+    for (let i = 1; i <= days; i++) sum += perDay[today.subtract(i, "day").format("YYYY-MM-DD")] || 0;
+    return days ? round2(sum / days) : null;
+  };
+  let wdSum = 0, wdDays = 0, weSum = 0, weDays = 0;
+  for (let i = 1; i <= Math.min(30, span); i++) {
+    const d = today.subtract(i, "day");
+    const used = perDay[d.format("YYYY-MM-DD")] || 0;
+    if (isWeekendDay(d)) {
+      weSum += used;
+      weDays++;
+    } else {
+      wdSum += used;
+      wdDays++;
+    }
+  }
+  return {
+    days: span,
+    avg7: windowAvg(7),
+    avg30: windowAvg(30),
+    weekday: wdDays ? round2(wdSum / wdDays) : null,
+    weekend: weDays ? round2(weSum / weDays) : null
+  };
+}
+
+// learned usage mode per item: item.learnUsage, else settings.inventory.learnedUsage
+function learnUsageMode(item) {
+  return item.learnUsage || (db.settings.inventory || {}).learnedUsage || "suggest";
+}
+
+// put observed numbers into effect (dailyUsage + weekday/weekend pattern)
+function applyObservedUsage(item, obs) {
+  item.dailyUsage = obs.avg7;
+  if (obs.weekday !== null && obs.weekend !== null) {
+    item.usagePattern = { weekday: obs.weekday, weekend: obs.weekend };
+  }
+  item.lastUpdated = dayjs().toISOString();
+  item._warned = false;
+  item._critical = false;
+  item._acknowledged = false;
+}
+
+function inventorySummaryLines() {
+  let totalValue = 0;
+  const lines = db.inventory.map(it => {
+    const days = calcDaysLeft(it);
+    const daysText = isFinite(days) ? `${Math.floor(days)} day(s)` : "N/A";
+    let line = `${E.package} ${it.name} (${it.id}) — ${it.stock} ${it.unit}, daily ${it.dailyUsage} — ~${daysText} left`;
+    const cost = itemUnitCost(it);
+    if (cost !== null) {
+      const value = Math.max(Number(it.stock) || 0, 0) * cost;
+      totalValue += value;
+      line += `\n   @ ${fmtMoney(cost)}/${it.unit} = ${fmtMoney(value)}`;
+    }
+    if (it.trackBatches) {
+      const next = fefoOrder(it.batches || []).find(b => b.expiry);
+      if (next) line += `\n   next expiry ${next.expiry} (${next.qty} ${it.unit})`;
+    }
+    const obs = getObservedUsage(it.id);
+    if (obs) {
+      line += `\n   configured ${it.dailyUsage} vs observed 7d ${obs.avg7} / 30d ${obs.avg30}`;
+      if (obs.weekday !== null && obs.weekend !== null) {
+        line += ` (weekday ${obs.weekday}, weekend ${obs.weekend})`;
+      }
+    }
+    return line;
+  });
+  lines.push(`\n${E.money} Total stock value: ${fmtMoney(totalValue)}`);
+  return lines;
+}
+
+// purchase: stock in + ledger entry, resets alert flags (purchase flow, PO receipt).
+// With extra.unitCost the item's cost becomes the weighted average of the
+// stock on hand and the new lot.
+function applyPurchase(item, qty, actor, extra = {}) {
+  const sp = extra.supplierId ? null : supplierForItem(item.id);
+  if (sp) extra = { ...extra, supplierId: sp.id };
+  if (extra.unitCost > 0) {
+    const onHand = Math.max(Number(item.stock) || 0, 0);
+    const prevCost = itemUnitCost(item);
+    item.unitCost =
+      prevCost === null || onHand === 0
+        ? extra.unitCost
+        : round2((onHand * prevCost + Number(qty) * extra.unitCost) / (onHand + Number(qty)));
+  }
+  const entry = recordStockMovement(item, "purchase", Number(qty), actor, extra);
+  // stock changed -> reset warning/critical/ack flags
+  item._warned = false;
+  item._critical = false;
+  item._acknowledged = false;
+  return entry;
+}
+
+// suppliers / purchase orders
+function supplierForItem(itemId) {
+  return db.suppliers.find(sp => (sp.items || []).includes(itemId)) || null;
+}
+
+function supplierContact(sp) {
+  const bits = [];
+  if (sp.chatId) bits.push(`chat ${sp.chatId}`);
+  if (sp.phone) bits.push(`📞 ${sp.phone}`);
+  return bits.join(", ") || "no contact";
+}
+
+// reorder quantity: item.reorderQty, else enough to cover warnDays + lead time
+function reorderQtyFor(item, sp) {
+  if (item.reorderQty > 0) return { qty: item.reorderQty, estimated: false };
+  const days = (item.warnDays || 4) + ((sp && sp.leadTimeDays) || 0);
+  return { qty: Math.max(Math.ceil((item.dailyUsage || 0) * days), 1), estimated: true };
+}
+
+function openPoLines(itemId) {
+  return db.purchaseOrders
+    .filter(po => po.status === "draft" || po.status === "sent")
+    .some(po => po.lines.some(l => l.itemId === itemId));
+}
+
+// draft POs for every item at/below warnDays, one draft per supplier.
+// Items already on an open PO are skipped; returns { touched, unassigned }.
+function buildReorderPOs(actor) {
+  const result = { touched: [], unassigned: [] };
+  for (const item of db.inventory) {
+    const daysLeft = calcDaysLeft(item);
+    if (!isFinite(daysLeft) || daysLeft > (item.warnDays || 4)) continue;
+    if (openPoLines(item.id)) continue;
+    const sp = supplierForItem(item.id);
+    if (!sp) {
+      result.unassigned.push(item);
+      continue;
+    }
+    let po = db.purchaseOrders.find(x => x.supplierId === sp.id && x.status === "draft");
+    if (!po) {
+      po = {
+        id: `po${Date.now()}${db.purchaseOrders.length}`,
+        supplierId: sp.id,
+        status: "draft",
+        lines: [],
+        createdAt: dayjs().toISOString(),
+        createdBy: String(actor)
+      };
+      db.purchaseOrders.push(po);
+    }
+    const { qty, estimated } = reorderQtyFor(item, sp);
+    po.lines.push({ itemId: item.id, qty, unit: item.unit, estimated });
+    if (!result.touched.includes(po)) result.touched.push(po);
+  }
+  return result;
+}
+
+// receive a PO into stock; costs[i] is the unit cost of line i (optional)
+function receivePurchaseOrder(po, actor, costs = []) {
+  const got = [];
+  po.lines.forEach((l, i) => {
+    const it = db.inventory.find(x => x.id === l.itemId);
+    if (!it) return;
+    const extra = { poId: po.id, supplierId: po.supplierId };
+    if (costs[i] > 0) extra.unitCost = costs[i];
+    if (it.trackBatches && it.shelfLifeDays) {
+      extra.expiry = dayjs().tz("Asia/Kolkata").add(it.shelfLifeDays, "day").format("YYYY-MM-DD");
+    }
+    applyPurchase(it, l.qty, actor, extra);
+    got.push(`+${l.qty} ${it.unit} ${it.name} (now ${it.stock})${extra.unitCost ? ` @ ${fmtMoney(extra.unitCost)}` : ""}`);
+  });
+  po.status = "received";
+  po.receivedAt = dayjs().toISOString();
+  po.receivedBy = String(actor);
+  return got;
+}
+
+// purchase spend for a month (YYYY-MM, IST) from ledger entries that carry a cost
+function getMonthlySpend(month) {
+  const byItem = {};
+  const bySupplier = {};
+  let total = 0;
+  let uncosted = 0;
+  for (const m of db.stockLedger) {
+    if (m.type !== "purchase") continue;
+    if (dayjs(m.when).tz("Asia/Kolkata").format("YYYY-MM") !== month) continue;
+    if (!(m.unitCost > 0)) {
+      uncosted++;
+      continue;
+    }
+    const amount = m.qty * m.unitCost;
+    total += amount;
+    byItem[m.itemId] = byItem[m.itemId] || { qty: 0, amount: 0 };
+    byItem[m.itemId].qty += m.qty;
+    byItem[m.itemId].amount += amount;
+    const spKey = m.supplierId || "_none";
+    bySupplier[spKey] = (bySupplier[spKey] || 0) + amount;
+  }
+  return { total, byItem, bySupplier, uncosted };
+}
+
+function poText(po) {
+  const sp = db.suppliers.find(x => x.id === po.supplierId) || { name: po.supplierId };
+  const lines = po.lines.map(l => {
+    const it = db.inventory.find(i => i.id === l.itemId);
+    return `• ${it ? it.name : l.itemId}: ${l.qty} ${l.unit || ""}${l.estimated ? " (est.)" : ""}`;
+  });
+  let txt =
+    `🧾 *Purchase Order* \`${po.id}\`\n` +
+    `Supplier: *${sp.name}*${sp.phone || sp.chatId ? ` (${supplierContact(sp)})` : ""}\n` +
+    `Status: *${po.status}*\n\n` +
+    lines.join("\n");
+  if (sp.minOrder) txt += `\n\nMin order: ${sp.minOrder}`;
+  if (po.status === "sent" && sp.leadTimeDays) {
+    txt += `\nExpected by: ${dayjs(po.sentAt).add(sp.leadTimeDays, "day").tz("Asia/Kolkata").format("YYYY-MM-DD")}`;
+  }
+  if (po.status === "received") {
+    txt += `\nReceived: ${dayjs(po.receivedAt).tz("Asia/Kolkata").format("YYYY-MM-DD HH:mm")}`;
+  }
+  return txt;
+}
+
+function poKeyboard(po) {
+  const kb = new InlineKeyboard();
+  if (po.status === "draft") kb.text("📤 Send", `po:send:${po.id}`).text("🗑 Delete", `po:del:${po.id}`).row();
+  if (po.status === "draft" || po.status === "sent") kb.text("📥 Mark Received", `po:recv:${po.id}`).row();
+  kb.text("⬅️ Orders", "po:list");
+  return kb;
+}
+
+// stock-take (physical count): one prompt per item, adjustments recorded as we go
+function stocktakePrompt(t) {
+  const it = db.inventory.find(i => i.id === t.items[t.idx]);
+  if (!it) return `Stock-take ${t.idx + 1}/${t.items.length}: item removed — type \`skip\`.`;
+  return (
+    `📋 Stock-take ${t.idx + 1}/${t.items.length}: *${it.name}*\n` +
+    `On record: ${it.stock} ${it.unit}\n` +
+    `Enter the counted quantity, \`skip\`, or \`stop\` to finish now.`
+  );
+}
+
+function stocktakeReport(st) {
+  let lost = 0;
+  let found = 0;
+  const lines = st.lines.map(l => {
+    const it = db.inventory.find(i => i.id === l.itemId) || { name: l.itemId, unit: "" };
+    if (!l.variance) return `• ${it.name}: ${l.counted} ${it.unit} ${E.ok}`;
+    const sign = l.variance > 0 ? "+" : "";
+    let valueText = "";
+    if (l.value !== null) {
+      if (l.value < 0) lost -= l.value;
+      else found += l.value;
+      valueText = ` (${l.value > 0 ? "+" : ""}${fmtMoney(l.value)})`;
+    }
+    return `• ${it.name}: expected ${l.expected}, counted ${l.counted} → ${sign}${l.variance} ${it.unit}${valueText}`;
+  });
+  return (
+    `📋 *Stock-take report* — ${dayjs(st.finishedAt).tz("Asia/Kolkata").format("YYYY-MM-DD HH:mm")}\n` +
+    `Counted ${st.lines.length}/${st.itemCount} item(s)\n\n` +
+    (lines.length ? lines.join("\n") : "Nothing counted.") +
+    `\n\nValue lost: ${fmtMoney(lost)} · found: ${fmtMoney(found)}` +
+    (st.lines.some(l => l.variance && l.value === null) ? "\n(items without a cost are not valued — /setcost)" : "")
+  );
+}
+
+function startStocktake(uid) {
+  const items = db.inventory.map(i => i.id);
+  const temp = { stId: `st${Date.now()}`, startedAt: dayjs().toISOString(), items, idx: 0, lines: [] };
+  setSession(uid, { action: "stocktake", step: 1, temp });
+  return temp;
+}
+
+// parse "<item words> <qty>" (used by /use)
+function parseItemQty(args) {
+  const parts = args.trim().split(/\s+/);
+  if (parts.length < 2) return null;
+  const qty = Number(parts[parts.length - 1]);
+  if (isNaN(qty) || qty <= 0) return null;
+  return { key: parts.slice(0, -1).join(" "), qty };
+}
+
+// heartbeat helpers (monitored devices live in db.heartbeats keyed by device id)
+function deviceLabel(id, dev) {
+  return dev && dev.name ? `${dev.name} (${id})` : id;
+}
+function deviceThreshold(dev) {
+  return Number((dev && dev.thresholdMinutes) || (db.settings.heartbeat || {}).thresholdMinutes || 10);
+}
+function fmtMinutes(mins) {
+  const m = Math.max(0, Math.round(mins));
+  if (m < 60) return `${m} min`;
+  return `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, "0")}m`;
+}
+
 // emojis
 const E = {
   ok: "✅",
@@ -231,9 +1323,20 @@ function getAttendanceStats(staff) {
   let presentMonth = 0;
   let absentMonth = 0;
   let leaveMonth = 0;
+  let workedMonth = 0;
+  let lateMonth = 0;
+  let earlyMonth = 0;
+  let overtimeMonth = 0;
 
   for (const [date, rec] of Object.entries(att)) {
     const status = rec.status;
+    if (date.startsWith(thisMonth) && rec.in) {
+      const m = dayMetrics(staff, date);
+      workedMonth += m.worked || 0;
+      if (m.lateMin) lateMonth++;
+      if (m.earlyMin) earlyMonth++;
+      overtimeMonth += m.overtimeMin;
+    }
     if (status === "present") {
       presentTotal++;
       if (date.startsWith(thisMonth)) presentMonth++;
@@ -281,6 +1384,10 @@ function getAttendanceStats(staff) {
     presentMonth,
     absentMonth,
     leaveMonth,
+    workedMonth,
+    lateMonth,
+    earlyMonth,
+    overtimeMonth,
     performance,
     ratingText,
     badgesText
@@ -288,9 +1395,14 @@ function getAttendanceStats(staff) {
 }
 
 // payment stats (month-wise, daily-pay logic)
+// payments that still count (voided entries stay in the ledger for history)
+function livePayments() {
+  return (db.payments || []).filter(p => !p.voided);
+}
+
 function getPaymentStats(staff) {
   reloadDb();
-  const all = db.payments || [];
+  const all = livePayments();
   const related = all.filter(p => String(p.staffId) === String(staff.id));
 
   // Total paid ever
@@ -309,48 +1421,1119 @@ function getPaymentStats(staff) {
     0
   );
 
-  // Present days this month
-  const att = staff.attendance || {};
-  let presentMonth = 0;
-  for (const [date, rec] of Object.entries(att)) {
-    if (date.startsWith(monthKey) && rec.status === "present") {
-      presentMonth++;
-    }
-  }
-
-  let dailyPay = 0;
-  let earnedThisMonth = 0;
-
-  if (staff.salaryAmount && staff.salaryAmount > 0) {
-    if (staff.salaryType === "daily") {
-      dailyPay = staff.salaryAmount;
-      earnedThisMonth = dailyPay * presentMonth;
-    } else if (staff.salaryType === "monthly") {
-      const daysInMonth = now.daysInMonth();
-      dailyPay = staff.salaryAmount / daysInMonth;
-      earnedThisMonth = dailyPay * presentMonth;
-    }
-  }
-
-  let pendingThisMonth = Math.max(earnedThisMonth - paidThisMonth, 0);
+  // earnings come from the payroll engine (month to date)
+  const slip = computePayslip(staff, monthKey);
+  const dailyPay = slip.rate;
+  const presentMonth = slip.present;
+  const paidLeaveMonth = slip.paidLeave;
+  const earnedThisMonth = slip.gross;
+  const pendingThisMonth = Math.max(slip.net - paidThisMonth, 0);
+  const balanceDue = slip.balance; // includes what was carried from last period
 
   return {
     totalPaid,
     paidThisMonth,
     pendingThisMonth,
+    balanceDue,
     dailyPay,
     presentMonth,
+    paidLeaveMonth,
     earnedThisMonth
   };
 }
 
-// bot + express
-const bot = new Bot(TELEGRAM_TOKEN);
-const app = express();
+// leave: paid allowance per month or year (settings.leave, per-staff override
+// in staff.leaveAllowance); leave days beyond it are stored as unpaid
+function leaveAllowance(staff) {
+  const def = db.settings.leave || defaultSettings().leave;
+  const own = staff.leaveAllowance || {};
+  return {
+    paidDays: Number(own.paidDays ?? def.paidDays ?? 0),
+    per: (own.per || def.per) === "year" ? "year" : "month"
+  };
+}
 
-// MAIN MENU keyboard
-function mainMenuKeyboard(userId) {
-  const admin = isAdmin(userId);
+// excludeDate: the day being (re)marked, so re-marking it doesn't count twice
+function leaveBalance(staff, date = dayjs().tz(staff.tz || "Asia/Kolkata").format("YYYY-MM-DD"), excludeDate = null) {
+  const { paidDays, per } = leaveAllowance(staff);
+  const period = per === "year" ? date.slice(0, 4) : date.slice(0, 7);
+  const used = Object.entries(staff.attendance || {}).filter(
+    ([d, rec]) => d.startsWith(period) && d !== excludeDate && rec.status === "leave" && rec.paid
+  ).length;
+  return { paidDays, per, period, used, remaining: Math.max(paidDays - used, 0) };
+}
+
+// mark one day as leave, paid while the allowance for its period lasts
+function markLeaveDay(staff, date, extra = {}) {
+  staff.attendance = staff.attendance || {};
+  const rec = staff.attendance[date] || { in: null, out: null, status: null };
+  const paid = leaveBalance(staff, date, date).remaining > 0;
+  staff.attendance[date] = { ...rec, status: "leave", paid, ...extra };
+  return paid;
+}
+
+function leaveDates(from, to) {
+  const out = [];
+  for (let d = dayjs(from); !d.isAfter(dayjs(to)); d = d.add(1, "day")) out.push(d.format("YYYY-MM-DD"));
+  return out;
+}
+
+function leaveRequestText(lr) {
+  const s = db.staff.find(x => String(x.id) === String(lr.staffId));
+  const days = leaveDates(lr.from, lr.to).length;
+  const range = lr.from === lr.to ? lr.from : `${lr.from} → ${lr.to}`;
+  return `🌴 Leave request ${lr.id}\n${s ? s.name : lr.staffId} — ${range} (${days} day(s))\nReason: ${lr.reason}`;
+}
+
+// shifts & roster: settings.shifts holds the definitions (one segment, or two
+// for a split shift); staff.roster maps weekday -> shift id or "off" and
+// staff.rosterOverrides maps a date -> shift id or "off" (approved swaps)
+function getShifts() {
+  return db.settings.shifts || defaultSettings().shifts;
+}
+
+function shiftText(id) {
+  const sh = getShifts()[id];
+  if (!sh) return id;
+  return `${id} ${sh.segments.map(([a, b]) => `${a}–${b}`).join(" & ")}`;
+}
+
+function hasRoster(staff) {
+  return !!staff.roster && Object.keys(staff.roster).length > 0;
+}
+
+// shift id for a date, null when off / not rostered
+function shiftFor(staff, date) {
+  const override = (staff.rosterOverrides || {})[date];
+  const id = override || (staff.roster || {})[WEEKDAYS[dayjs(date).day()]];
+  return id && id !== "off" && getShifts()[id] ? id : null;
+}
+
+// Monday-first week containing `date`
+function rosterText(date) {
+  const start = dayjs(date).subtract((dayjs(date).day() + 6) % 7, "day");
+  const active = db.staff.filter(s => !s.onHold && hasRoster(s));
+  const lines = [];
+  for (let i = 0; i < 7; i++) {
+    const d = start.add(i, "day").format("YYYY-MM-DD");
+    const on = active
+      .map(s => ({ s, sh: shiftFor(s, d) }))
+      .filter(x => x.sh)
+      .map(x => `${x.s.name} (${shiftText(x.sh)})${(x.s.rosterOverrides || {})[d] ? " ⇄" : ""}`);
+    lines.push(`${dayjs(d).format("ddd DD")}: ${on.length ? on.join(", ") : "—"}`);
+  }
+  const off = db.staff.filter(s => !s.onHold && !hasRoster(s)).map(s => s.name);
+  return (
+    `🗓 Roster — week of ${start.format("DD MMM")}\n\n${lines.join("\n")}` +
+    (off.length ? `\n\nNo roster set: ${off.join(", ")}` : "") +
+    "\n⇄ = swapped"
+  );
+}
+
+// Employees > Roster editor: tap a day to cycle through the shifts and "off"
+function rosterEditView(staff) {
+  const options = [...Object.keys(getShifts()), "off"];
+  const kb = new InlineKeyboard();
+  const order = [1, 2, 3, 4, 5, 6, 0];
+  order.forEach((dow, i) => {
+    const cur = (staff.roster || {})[WEEKDAYS[dow]] || "off";
+    kb.text(`${WEEKDAYS[dow]}: ${options.includes(cur) ? cur : "off"}`, `ros:set:${staff.id}:${dow}`);
+    if (i % 2 === 1) kb.row();
+  });
+  kb.row().text("⬅️ Back", `emp:view:${staff.id}`);
+  const lines = order.map(dow => {
+    const cur = (staff.roster || {})[WEEKDAYS[dow]] || "off";
+    return `${WEEKDAYS[dow]}: ${cur === "off" ? "off" : shiftText(cur)}`;
+  });
+  return {
+    text: `🗓 Roster for ${staff.name}\nTap a day to cycle: ${options.join(" → ")}\n\n${lines.join("\n")}`,
+    kb
+  };
+}
+
+function timekeeping() {
+  return { ...defaultSettings().timekeeping, ...(db.settings.timekeeping || {}) };
+}
+
+// expected working window(s) for a day: the rostered shift, else the default hours
+function expectedSegments(staff, date) {
+  const tz = staff.tz || "Asia/Kolkata";
+  const tk = timekeeping();
+  const sh = shiftFor(staff, date);
+  const segs = sh ? getShifts()[sh].segments : [[tk.defaultStart, tk.defaultEnd]];
+  let prevEnd = null;
+  return segs.map(([a, b]) => {
+    let start = dayjs.tz(`${date} ${a}`, tz);
+    if (prevEnd && start.isBefore(prevEnd)) start = start.add(1, "day");
+    let end = dayjs.tz(`${date} ${b}`, tz);
+    if (!end.isAfter(start)) end = end.add(1, "day"); // runs past midnight
+    prevEnd = end;
+    return { start, end };
+  });
+}
+
+// worked hours, lateness, early leave and overtime from the day's punches
+// (null when there's no clock-in); minutes inside the grace periods don't count
+function dayMetrics(staff, date) {
+  const rec = (staff.attendance || {})[date] || {};
+  if (!rec.in) return null;
+  const tk = timekeeping();
+  const segs = expectedSegments(staff, date);
+  const inT = dayjs(rec.in);
+  const outT = rec.out ? dayjs(rec.out) : null;
+  const expected = segs.reduce((m, sg) => m + sg.end.diff(sg.start, "minute"), 0);
+  const lateMin = Math.max(inT.diff(segs[0].start, "minute"), 0);
+  let worked = null;
+  let earlyMin = 0;
+  let overtimeMin = 0;
+  if (outT) {
+    worked = outT.diff(inT, "minute");
+    // the break of a split shift isn't worked time
+    for (let i = 1; i < segs.length; i++) {
+      const gap = Math.min(outT.valueOf(), segs[i].start.valueOf()) - Math.max(inT.valueOf(), segs[i - 1].end.valueOf());
+      if (gap > 0) worked -= Math.round(gap / 60000);
+    }
+    earlyMin = Math.max(segs[segs.length - 1].end.diff(outT, "minute"), 0);
+    overtimeMin = Math.max(worked - expected, 0);
+  }
+  return {
+    shift: shiftFor(staff, date),
+    expected,
+    worked,
+    lateMin: lateMin > tk.lateGraceMinutes ? lateMin : 0,
+    earlyMin: earlyMin > tk.earlyGraceMinutes ? earlyMin : 0,
+    overtimeMin: overtimeMin > tk.overtimeGraceMinutes ? overtimeMin : 0
+  };
+}
+
+function metricsText(m) {
+  const bits = [];
+  if (m.worked !== null) bits.push(`worked ${fmtMinutes(m.worked)}`);
+  if (m.lateMin) bits.push(`late ${fmtMinutes(m.lateMin)}`);
+  if (m.earlyMin) bits.push(`left ${fmtMinutes(m.earlyMin)} early`);
+  if (m.overtimeMin) bits.push(`overtime ${fmtMinutes(m.overtimeMin)}`);
+  return bits.join(", ");
+}
+
+// flagged days wait in the /review queue until someone with attendance.mark clears them
+const FLAG_TEXT = {
+  auto_closed: "forgot to clock out — auto-closed at shift end",
+  no_punch: "marked present without clocking in/out"
+};
+
+function flagDay(rec, reason) {
+  rec.flags = [...new Set([...(rec.flags || []), reason])];
+  delete rec.reviewedAt;
+  delete rec.reviewedBy;
+}
+
+function flaggedDays() {
+  const out = [];
+  for (const staff of db.staff) {
+    for (const [date, rec] of Object.entries(staff.attendance || {})) {
+      if ((rec.flags || []).length && !rec.reviewedAt) out.push({ staff, date, rec });
+    }
+  }
+  return out.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function reviewItemText({ staff, date, rec }) {
+  const tz = staff.tz || "Asia/Kolkata";
+  const t = iso => (iso ? dayjs(iso).tz(tz).format("HH:mm") : "-");
+  return (
+    `🚩 ${staff.name} — ${date}\n` +
+    `in ${t(rec.in)} · out ${t(rec.out)}${rec.outSource ? ` (${rec.outSource})` : ""} · status ${rec.status || "-"}\n` +
+    rec.flags.map(f => `• ${FLAG_TEXT[f] || f}`).join("\n")
+  );
+}
+
+function reviewKeyboard(staffId, date) {
+  return new InlineKeyboard()
+    .text(`${E.ok} Looks right`, `rev:ok:${staffId}:${date}`)
+    .text("✏️ Fix times", `rev:fix:${staffId}:${date}`)
+    .row()
+    .text(`${E.cancel} Mark absent`, `rev:abs:${staffId}:${date}`);
+}
+
+// when an open punch should have ended: shift end, or in + expected hours
+// for someone who clocked in after their shift was already over
+function expectedOut(staff, date) {
+  const segs = expectedSegments(staff, date);
+  const end = segs[segs.length - 1].end;
+  const inT = dayjs(staff.attendance[date].in);
+  if (inT.isBefore(end)) return end;
+  const expected = segs.reduce((m, sg) => m + sg.end.diff(sg.start, "minute"), 0);
+  return inT.add(expected, "minute");
+}
+
+// "HH:mm" on a record's day, rolled past midnight when it lands before clock-in
+function punchTime(staff, date, hhmm, after) {
+  let t = dayjs.tz(`${date} ${hhmm}`, staff.tz || "Asia/Kolkata");
+  if (after && t.isBefore(dayjs(after))) t = t.add(1, "day");
+  return t;
+}
+
+// payroll engine: one pay period = one calendar month (YYYY-MM). Gross pay is
+// the day rate for every payable day (present, paid leave, paid weekly off)
+// plus overtime; net = gross - deductions; the closing balance (net + brought
+// forward - paid) is carried into the next period once a run is finalized.
+function payrollRules() {
+  return { ...defaultSettings().payroll, ...(db.settings.payroll || {}) };
+}
+
+function isWeeklyOff(staff, date) {
+  if (hasRoster(staff)) return !shiftFor(staff, date);
+  const days = staff.weeklyOff || payrollRules().weeklyOff || [];
+  return days.includes(WEEKDAYS[dayjs(date).day()]);
+}
+
+function prevPeriod(period) {
+  return dayjs(`${period}-01`).subtract(1, "month").format("YYYY-MM");
+}
+
+function finalSlip(staffId, period) {
+  const run = db.payrollRuns.find(r => r.period === period);
+  return run ? run.slips.find(x => String(x.staffId) === String(staffId)) : null;
+}
+
+// advances / loans: recovered through payroll, one installment per period
+// from startPeriod on. Only finalized runs count as recovered, so a period
+// that never got finalized simply rolls its installment forward.
+function advanceRecovered(adv, beforePeriod = null) {
+  let total = 0;
+  for (const run of db.payrollRuns) {
+    if (beforePeriod && run.period >= beforePeriod) continue;
+    for (const slip of run.slips) {
+      for (const it of slip.advanceItems || []) if (it.id === adv.id) total += it.amount;
+    }
+  }
+  return round2(total);
+}
+
+function advanceOutstanding(adv) {
+  return round2(Math.max(adv.amount - advanceRecovered(adv), 0));
+}
+
+function advanceDue(adv, period) {
+  if (period < adv.startPeriod) return 0;
+  const left = adv.amount - advanceRecovered(adv, period);
+  return round2(Math.max(Math.min(adv.installment, left), 0));
+}
+
+function staffAdvances(staffId) {
+  return db.advances.filter(a => String(a.staffId) === String(staffId));
+}
+
+function computePayslip(staff, period) {
+  const rules = payrollRules();
+  const tz = staff.tz || "Asia/Kolkata";
+  const today = dayjs().tz(tz).format("YYYY-MM-DD");
+  const daysInMonth = dayjs(`${period}-01`).daysInMonth();
+  const amount = Number(staff.salaryAmount) || 0;
+  const rate = staff.salaryType === "monthly" ? amount / daysInMonth : amount;
+  const att = staff.attendance || {};
+  let present = 0, paidLeave = 0, unpaidLeave = 0, absent = 0, weeklyOff = 0;
+  let overtimeMin = 0, overtimePay = 0;
+  for (let d = 1; d <= daysInMonth; d++) {
+    const date = `${period}-${String(d).padStart(2, "0")}`;
+    if (date > today) break;
+    if (staff.joinedAt && date < staff.joinedAt) continue;
+    const rec = att[date] || {};
+    if (rec.status === "present") {
+      present++;
+      const m = dayMetrics(staff, date);
+      if (m && m.overtimeMin && m.expected) {
+        overtimeMin += m.overtimeMin;
+        overtimePay += (m.overtimeMin / 60) * (rate / (m.expected / 60)) * rules.overtimeRate;
+      }
+    } else if (rec.status === "leave") {
+      if (rec.paid) paidLeave++;
+      else unpaidLeave++;
+    } else if (rec.status === "absent") {
+      absent++;
+    } else if (isWeeklyOff(staff, date)) {
+      weeklyOff++;
+    }
+  }
+  const paidOffs = rules.weeklyOffPaid && staff.salaryType === "monthly" ? weeklyOff : 0;
+  const basic = rate * (present + paidLeave + paidOffs);
+  const gross = basic + overtimePay;
+  const deductionItems = db.deductions.filter(x => String(x.staffId) === String(staff.id) && x.period === period);
+  const deductions = deductionItems.reduce((a, x) => a + Number(x.amount), 0);
+  // never recover more than the period earned; the rest rolls forward
+  let room = Math.max(gross - deductions, 0);
+  const advanceItems = [];
+  for (const a of staffAdvances(staff.id)) {
+    const amount = round2(Math.min(advanceDue(a, period), room));
+    if (amount <= 0) continue;
+    room -= amount;
+    advanceItems.push({ id: a.id, reason: a.reason, amount });
+  }
+  const advanceRecovery = advanceItems.reduce((a, x) => a + x.amount, 0);
+  const net = gross - deductions - advanceRecovery;
+  const paid = livePayments()
+    .filter(p => String(p.staffId) === String(staff.id) && dayjs(p.when).tz(tz).format("YYYY-MM") === period)
+    .reduce((a, p) => a + (Number(p.amount) || 0), 0);
+  const prev = finalSlip(staff.id, prevPeriod(period));
+  const broughtForward = prev ? prev.balance : 0;
+  return {
+    staffId: String(staff.id),
+    name: staff.name,
+    period,
+    salaryType: staff.salaryType,
+    salaryAmount: amount,
+    rate: round2(rate),
+    present,
+    paidLeave,
+    unpaidLeave,
+    absent,
+    weeklyOff,
+    paidOffs,
+    overtimeMin,
+    basic: round2(basic),
+    overtimePay: round2(overtimePay),
+    gross: round2(gross),
+    deductionItems: deductionItems.map(x => ({ amount: Number(x.amount), reason: x.reason })),
+    deductions: round2(deductions),
+    advanceItems,
+    advanceRecovery: round2(advanceRecovery),
+    net: round2(net),
+    broughtForward: round2(broughtForward),
+    paid: round2(paid),
+    balance: round2(net + broughtForward - paid)
+  };
+}
+
+function payslipText(slip) {
+  const lines = [
+    `🧾 Payslip — ${slip.name} — ${dayjs(`${slip.period}-01`).format("MMMM YYYY")}`,
+    `Pay: ${slip.salaryType || "not set"} ${fmtMoney(slip.salaryAmount)} (day rate ${fmtMoney(slip.rate)})`,
+    "",
+    `Present: ${slip.present} · Paid leave: ${slip.paidLeave} · Paid weekly off: ${slip.paidOffs}`,
+    `Unpaid leave: ${slip.unpaidLeave} · Absent: ${slip.absent}`,
+    "",
+    `Basic: ${fmtMoney(slip.basic)}`,
+    `Overtime (${fmtMinutes(slip.overtimeMin)}): ${fmtMoney(slip.overtimePay)}`,
+    `Gross: ${fmtMoney(slip.gross)}`
+  ];
+  for (const d of slip.deductionItems) lines.push(`− ${d.reason}: ${fmtMoney(d.amount)}`);
+  for (const a of slip.advanceItems || []) lines.push(`− Advance recovery (${a.reason}): ${fmtMoney(a.amount)}`);
+  lines.push(
+    `Net pay: ${fmtMoney(slip.net)}`,
+    "",
+    `Brought forward: ${fmtMoney(slip.broughtForward)}`,
+    `Paid this period: ${fmtMoney(slip.paid)}`,
+    `${slip.balance >= 0 ? "Balance due" : "Overpaid"}: ${fmtMoney(Math.abs(slip.balance))}`
+  );
+  return lines.join("\n");
+}
+
+// live slips for a period, or the frozen ones once the run is finalized
+function payrollSlips(period) {
+  const run = db.payrollRuns.find(r => r.period === period);
+  if (run) return { run, slips: run.slips };
+  const slips = db.staff
+    .filter(st => !st.onHold && Number(st.salaryAmount) > 0)
+    .map(st => computePayslip(st, period));
+  return { run: null, slips };
+}
+
+// finalized runs carry their balance into the next period, so once a later
+// period is final an earlier one can't be (re)finalized without breaking the chain
+function laterFinalRun(period) {
+  return db.payrollRuns.filter(r => r.period > period).sort((a, b) => (a.period < b.period ? -1 : 1))[0] || null;
+}
+
+function payrollView(period) {
+  const { run, slips } = payrollSlips(period);
+  const sum = k => round2(slips.reduce((a, x) => a + x[k], 0));
+  const head = `🧾 Payroll ${dayjs(`${period}-01`).format("MMMM YYYY")} — ${
+    run ? `final (${dayjs(run.finalizedAt).tz("Asia/Kolkata").format("YYYY-MM-DD HH:mm")})` : "draft"
+  }`;
+  const lines = slips.map(x =>
+    `${x.name}: gross ${fmtMoney(x.gross)} · net ${fmtMoney(x.net)} · paid ${fmtMoney(x.paid)} · due ${fmtMoney(x.balance)}`
+  );
+  const text =
+    `${head}\n\n${lines.join("\n") || "No salaried staff."}\n\n` +
+    `Total net ${fmtMoney(sum("net"))} · paid ${fmtMoney(sum("paid"))} · due ${fmtMoney(sum("balance"))}`;
+  const kb = new InlineKeyboard();
+  slips.forEach((x, i) => {
+    kb.text(`🧾 ${x.name}`, `prun:slip:${period}:${x.staffId}`);
+    if (i % 2 === 1) kb.row();
+  });
+  if (slips.length % 2 === 1) kb.row();
+  if (!laterFinalRun(period)) kb.text(run ? "♻️ Recalculate & finalize" : `${E.ok} Finalize`, `prun:final:${period}`).row();
+  kb.text("📨 Send all payslips", `prun:sendall:${period}`);
+  return { text, kb };
+}
+
+function swapText(sw) {
+  const name = id => (db.staff.find(x => String(x.id) === String(id)) || {}).name || id;
+  const sh = id => (id ? shiftText(id) : "off");
+  return (
+    `⇄ Shift swap ${sw.id} for ${sw.date}\n` +
+    `${name(sw.fromId)}: ${sh(sw.fromShift)} → ${sh(sw.toShift)}\n` +
+    `${name(sw.toId)}: ${sh(sw.toShift)} → ${sh(sw.fromShift)}` +
+    (sw.reason ? `\nReason: ${sw.reason}` : "")
+  );
+}
+
+function leaveKeyboard(id) {
+  return new InlineKeyboard()
+    .text(`${E.ok} Approve`, `leave:ok:${id}`)
+    .text(`${E.cancel} Reject`, `leave:no:${id}`);
+}
+
+// nobody decides their own leave
+function leaveApprovers(lr) {
+  return usersWithPermission("leave.approve").filter(id => id !== String(lr.staffId));
+}
+
+// send a leave request to every approver except the requester; returns how many got it
+async function sendLeaveToApprovers(lr) {
+  let sent = 0;
+  for (const id of leaveApprovers(lr)) {
+    try {
+      await bot.api.sendMessage(id, leaveRequestText(lr), { reply_markup: leaveKeyboard(lr.id) });
+      sent++;
+    } catch (e) {
+      console.error("leave request notify err", e.message);
+    }
+  }
+  return sent;
+}
+
+// month grid for the self-service calendar (monospace, Monday first)
+// P present · A absent · L leave · . not marked · blank = future / before joining
+function attendanceCalendar(staff, month) {
+  const tz = staff.tz || "Asia/Kolkata";
+  const att = staff.attendance || {};
+  const first = dayjs.tz(`${month}-01`, "YYYY-MM-DD", tz);
+  const today = dayjs().tz(tz).format("YYYY-MM-DD");
+  const marks = { present: "P", absent: "A", leave: "L" };
+  const cells = Array((first.day() + 6) % 7).fill("    ");
+  for (let d = 1; d <= first.daysInMonth(); d++) {
+    const date = first.date(d).format("YYYY-MM-DD");
+    const outside = date > today || (staff.joinedAt && date < staff.joinedAt);
+    const mark = outside ? " " : marks[(att[date] || {}).status] || ".";
+    cells.push(`${String(d).padStart(2)}${mark} `);
+  }
+  const rows = ["Mo  Tu  We  Th  Fr  Sa  Su"];
+  for (let i = 0; i < cells.length; i += 7) rows.push(cells.slice(i, i + 7).join("").trimEnd());
+  return rows.join("\n");
+}
+
+// "My Profile" screens only ever read the caller's own staff record
+function myProfileView(staff) {
+  const attStats = getAttendanceStats(staff);
+  const payStats = getPaymentStats(staff);
+  const bal = leaveBalance(staff);
+  const month = dayjs().tz(staff.tz || "Asia/Kolkata").format("MMMM YYYY");
+  const text =
+`🙋 *My Profile* — ${staff.name}
+Role: *${staff.role}*${staff.onHold ? " (on hold)" : ""}
+
+📊 *${month}*
+Present: *${attStats.presentMonth}* · Absent: *${attStats.absentMonth}* · Leave: *${attStats.leaveMonth}*
+Worked: *${fmtMinutes(attStats.workedMonth)}* · Late: *${attStats.lateMonth}* · Overtime: *${fmtMinutes(attStats.overtimeMonth)}*
+Paid leave left this ${bal.per}: *${bal.remaining} of ${bal.paidDays}* (request with /leave)
+
+💵 *Pay (${staff.salaryType || "not set"}, ${fmtMoney(staff.salaryAmount || 0)})*
+Earned this month (approx): *${fmtMoney(payStats.earnedThisMonth)}*
+Received this month: *${fmtMoney(payStats.paidThisMonth)}*
+Pending balance (incl. carried): *${fmtMoney(payStats.balanceDue)}*
+Total received since joining: *${fmtMoney(payStats.totalPaid)}*
+Advances outstanding: *${fmtMoney(staffAdvances(staff.id).reduce((a, x) => a + advanceOutstanding(x), 0))}*
+
+Overall: *${attStats.ratingText}*
+Badges: *${attStats.badgesText}*`;
+  const kb = new InlineKeyboard()
+    .text("📅 My Calendar", `me:cal:${dayjs().tz(staff.tz || "Asia/Kolkata").format("YYYY-MM")}`)
+    .text("💵 My Payments", "me:pay")
+    .row()
+    .text("🧾 My Payslip", "me:slip")
+    .text("⬅️ Back", "menu:home");
+  return { text, kb };
+}
+
+function myCalendarView(staff, month) {
+  const days = Object.entries(staff.attendance || {}).filter(([d]) => d.startsWith(month));
+  const count = st => days.filter(([, rec]) => rec.status === st).length;
+  const prev = dayjs(`${month}-01`).subtract(1, "month").format("YYYY-MM");
+  const next = dayjs(`${month}-01`).add(1, "month").format("YYYY-MM");
+  const text =
+    `📅 *${dayjs(`${month}-01`).format("MMMM YYYY")}*\n` +
+    "```\n" + attendanceCalendar(staff, month) + "\n```\n" +
+    `Present *${count("present")}* · Absent *${count("absent")}* · Leave *${count("leave")}*\n` +
+    "P present · A absent · L leave · . not marked";
+  const kb = new InlineKeyboard()
+    .text("◀️", `me:cal:${prev}`)
+    .text("▶️", `me:cal:${next}`)
+    .row()
+    .text("⬅️ Back", "me:home");
+  return { text, kb };
+}
+
+const PAYMENT_METHODS = { cash: "💵 Cash", upi: "📱 UPI", bank: "🏦 Bank" };
+
+function paymentLine(p, tz) {
+  const method = p.method ? PAYMENT_METHODS[p.method] : "method n/a";
+  const base = `${dayjs(p.when).tz(tz).format("YYYY-MM-DD HH:mm")} — ${fmtMoney(Number(p.amount))} · ${method}${p.note ? ` (${p.note})` : ""}`;
+  return p.voided ? `~ ${base} — VOID: ${p.voided.reason}` : base;
+}
+
+// per-employee ledger: newest first, one button per entry
+function paymentHistoryView(staff) {
+  const tz = staff.tz || "Asia/Kolkata";
+  const mine = (db.payments || [])
+    .filter(p => String(p.staffId) === String(staff.id))
+    .sort((a, b) => dayjs(b.when).valueOf() - dayjs(a.when).valueOf())
+    .slice(0, 15);
+  const text =
+    `📒 Payment history — ${staff.name}\n\n` +
+    (mine.length ? mine.map((p, i) => `${i + 1}. ${paymentLine(p, tz)}`).join("\n") : "No payments recorded yet.");
+  const kb = new InlineKeyboard();
+  mine.forEach((p, i) => {
+    kb.text(`${i + 1}`, `pled:view:${p.id}`);
+    if ((i + 1) % 5 === 0) kb.row();
+  });
+  if (kb.inline_keyboard[kb.inline_keyboard.length - 1].length) kb.row();
+  kb.text("⬅️ Back", `emp:view:${staff.id}`);
+  return { text, kb };
+}
+
+function paymentEntryView(p, staff) {
+  const tz = (staff && staff.tz) || "Asia/Kolkata";
+  const lines = [
+    `📒 Payment ${p.id} — ${staff ? staff.name : p.staffId}`,
+    "",
+    paymentLine(p, tz),
+    `Recorded by ${p.recordedBy}`
+  ];
+  for (const h of p.history || []) {
+    lines.push(`✏️ ${dayjs(h.when).tz(tz).format("YYYY-MM-DD HH:mm")} by ${h.by}: was ${fmtMoney(h.amount)} · ${h.method ? PAYMENT_METHODS[h.method] : "n/a"} — ${h.reason}`);
+  }
+  const kb = new InlineKeyboard();
+  if (!p.voided) kb.text("✏️ Correct", `pled:fix:${p.id}`).text(`${E.cancel} Void`, `pled:void:${p.id}`).row();
+  kb.text("⬅️ Back", `pled:list:${p.staffId}`);
+  return { text: lines.join("\n"), kb };
+}
+
+function paymentMethodKeyboard(prefix) {
+  const kb = new InlineKeyboard();
+  for (const [key, label] of Object.entries(PAYMENT_METHODS)) kb.text(label, `${prefix}:${key}`);
+  return kb;
+}
+
+function myPaymentsView(staff) {
+  const tz = staff.tz || "Asia/Kolkata";
+  const mine = livePayments()
+    .filter(p => String(p.staffId) === String(staff.id) && Number(p.amount) > 0)
+    .sort((a, b) => dayjs(b.when).valueOf() - dayjs(a.when).valueOf());
+  const payStats = getPaymentStats(staff);
+  const lines = mine.slice(0, 10).map(p =>
+    `• ${dayjs(p.when).tz(tz).format("YYYY-MM-DD")} — ${fmtMoney(Number(p.amount))}` +
+    `${p.method ? ` · ${PAYMENT_METHODS[p.method]}` : ""}${p.note ? ` (${p.note})` : ""}`
+  );
+  const text =
+    `💵 *My Payments*\n\n` +
+    (lines.length ? lines.join("\n") : "No payments recorded yet.") +
+    `\n\nReceived this month: *${fmtMoney(payStats.paidThisMonth)}*` +
+    `\nPending balance (incl. carried): *${fmtMoney(payStats.balanceDue)}*`;
+  return { text, kb: new InlineKeyboard().text("⬅️ Back", "me:home") };
+}
+
+// recurrence engine, shared by reminders and schedules.
+// rule: { type: once|daily|days|hours|weekly|monthday|lastday, every?, weekdays?, day?, until?, count? }
+// Day-based rules fire at a fixed HH:mm; "hours" steps from the previous occurrence.
+const REMINDER_TZ = "Asia/Kolkata";
+
+function ruleDayMatches(rule, day, offset) {
+  if (rule.type === "daily") return true;
+  if (rule.type === "days") return offset % rule.every === 0;
+  if (rule.type === "weekly") return rule.weekdays.includes(day.day());
+  if (rule.type === "monthday") return day.date() === Math.min(rule.day, day.daysInMonth());
+  if (rule.type === "lastday") return day.date() === day.daysInMonth();
+  return false;
+}
+
+// first occurrence strictly after `after`; time defaults to after's own HH:mm
+function nextOccurrence(rule, after, tz = REMINDER_TZ, time = null) {
+  const a = dayjs(after).tz(tz);
+  if (!rule || rule.type === "once") return null;
+  if (rule.type === "hours") return a.add(rule.every, "hour");
+  const hhmm = time || a.format("HH:mm");
+  const start = a.startOf("day");
+  for (let i = 0; i <= 400; i++) {
+    const day = start.add(i, "day");
+    if (!ruleDayMatches(rule, day, i)) continue;
+    const at = dayjs.tz(`${day.format("YYYY-MM-DD")} ${hhmm}`, tz);
+    if (at.isAfter(a)) return at;
+  }
+  return null;
+}
+
+// snap a first date/time onto the rule (e.g. a weekly rule started on a wrong weekday)
+function alignOccurrence(rule, at, tz = REMINDER_TZ) {
+  const a = dayjs(at).tz(tz);
+  if (!rule || rule.type === "once" || rule.type === "hours" || rule.type === "daily" || rule.type === "days") return a;
+  if (ruleDayMatches(rule, a, 0)) return a;
+  return nextOccurrence(rule, a, tz);
+}
+
+// has the rule run out once `count` occurrences went out and the next would be `next`?
+function recurrenceEnded(rule, count, next, tz = REMINDER_TZ) {
+  if (!next) return true;
+  if (rule.count && count >= rule.count) return true;
+  if (rule.until && dayjs(next).tz(tz).format("YYYY-MM-DD") > rule.until) return true;
+  return false;
+}
+
+function upcomingOccurrences(rule, from, sent, n, tz = REMINDER_TZ, time = null) {
+  const out = [];
+  let t = dayjs(from);
+  let c = sent;
+  while (out.length < n && !recurrenceEnded(rule, c, t, tz)) {
+    out.push(t);
+    c++;
+    t = nextOccurrence(rule, t, tz, time);
+  }
+  return out;
+}
+
+function recurrenceText(rule) {
+  if (!rule) return "once";
+  let base = "once";
+  if (rule.type === "daily") base = "daily";
+  if (rule.type === "days") base = `every ${rule.every} days`;
+  if (rule.type === "hours") base = `every ${rule.every} hour${rule.every === 1 ? "" : "s"}`;
+  if (rule.type === "weekly") base = `weekly on ${rule.weekdays.map(d => WEEKDAYS[d]).join(", ")}`;
+  if (rule.type === "monthday") base = `monthly on day ${rule.day}`;
+  if (rule.type === "lastday") base = "monthly on the last day";
+  if (rule.until) base += ` until ${rule.until}`;
+  if (rule.count) base += ` · ${rule.count} times`;
+  return base;
+}
+
+// "once", "daily", "every 3 days", "every 2 hours", "weekly mon,thu", "weekdays" (mon–fri),
+// "monthly 15", "monthly last" + optional "until YYYY-MM-DD" / "5 times"
+function parseRecurrence(text) {
+  let t = String(text || "").toLowerCase().trim();
+  const rule = {};
+  const until = t.match(/\buntil\s+(\d{4}-\d{2}-\d{2})\b/);
+  if (until) {
+    if (!dayjs(until[1]).isValid()) return null;
+    rule.until = until[1];
+    t = t.replace(until[0], "").trim();
+  }
+  const times = t.match(/\b(\d+)\s*times\b/);
+  if (times) {
+    rule.count = Number(times[1]);
+    if (!rule.count) return null;
+    t = t.replace(times[0], "").trim();
+  }
+  let m;
+  if (t === "once") return { type: "once" };
+  if (t === "daily") rule.type = "daily";
+  else if (t === "weekdays" || t === "every weekday") {
+    rule.type = "weekly";
+    rule.weekdays = [1, 2, 3, 4, 5];
+  } else if ((m = t.match(/^every\s+(\d+)\s*(day|days|d|hour|hours|h)$/))) {
+    rule.type = m[2].startsWith("h") ? "hours" : "days";
+    rule.every = Number(m[1]);
+    if (!rule.every) return null;
+  } else if ((m = t.match(/^weekly\s+(.+)$/))) {
+    const days = m[1].split(/[\s,]+/).map(x => WEEKDAYS.indexOf(x.slice(0, 3)));
+    if (!days.length || days.includes(-1)) return null;
+    rule.type = "weekly";
+    rule.weekdays = [...new Set(days)].sort();
+  } else if ((m = t.match(/^monthly\s+(last|\d{1,2})$/))) {
+    if (m[1] === "last") rule.type = "lastday";
+    else {
+      rule.type = "monthday";
+      rule.day = Number(m[1]);
+      if (rule.day < 1 || rule.day > 31) return null;
+    }
+  } else return null;
+  return rule;
+}
+
+// natural-language reminder phrases ("tomorrow 9am", "every monday 10:00",
+// "in 2 hours", "25 oct 9am", "kal subah 9 baje", "har shukravar shaam 6") — parsed locally
+const WEEKDAY_WORDS = {
+  sun: 0, sunday: 0, ravivar: 0, itwar: 0, itvaar: 0,
+  mon: 1, monday: 1, somvar: 1, somvaar: 1,
+  tue: 2, tues: 2, tuesday: 2, mangalvar: 2, mangalvaar: 2,
+  wed: 3, wednesday: 3, budhvar: 3, budhvaar: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4, guruvar: 4, guruvaar: 4, brihaspativar: 4,
+  fri: 5, friday: 5, shukravar: 5, shukravaar: 5,
+  sat: 6, saturday: 6, shanivar: 6, shanivaar: 6
+};
+const MONTH_WORDS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5,
+  jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+const MON = Object.keys(MONTH_WORDS).sort((a, b) => b.length - a.length).join("|");
+const WD = Object.keys(WEEKDAY_WORDS).sort((a, b) => b.length - a.length).join("|");
+// part of day → default hour, and whether a bare "7" means pm
+const DAY_PARTS = {
+  subah: [9, false], savere: [9, false], morning: [9, false],
+  dopahar: [14, true], afternoon: [14, true], noon: [12, false],
+  shaam: [18, true], sham: [18, true], evening: [18, true],
+  raat: [21, true], night: [21, true], tonight: [21, true]
+};
+const DAY_PART_WORDS = Object.keys(DAY_PARTS).join("|");
+// anything that reads as a time, used to tell "sun 6pm" from "6pm sun dry chillies"
+const TIME_WORD_RE = new RegExp(
+  `\\d{1,2}(?:[:.]\\d{2})?\\s*(?:am|pm|baje)\\b|\\b\\d{1,2}:\\d{2}\\b|\\bat\\s+\\d{1,2}\\b|\\b(?:${DAY_PART_WORDS})\\b`
+);
+
+function parseReminderPhrase(input, now = dayjs()) {
+  let orig = ` ${String(input || "").trim()} `;
+  let low = orig.toLowerCase();
+  // cut a match out of both strings, keeping the original casing for the text
+  const cut = m => {
+    orig = orig.slice(0, m.index) + " " + orig.slice(m.index + m[0].length);
+    low = low.slice(0, m.index) + " " + low.slice(m.index + m[0].length);
+    return m;
+  };
+  const take = re => {
+    const m = low.match(re);
+    return m ? cut(m) : null;
+  };
+  const base = dayjs(now).tz(REMINDER_TZ);
+  // explicit dates must exist as written: 31/02 is an error, not 3 March
+  const dateOf = (y, mo, d) => {
+    const str = `${y}-${String(mo).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+    const x = dayjs.tz(str, REMINDER_TZ);
+    return x.isValid() && x.format("YYYY-MM-DD") === str ? x : dayjs(NaN);
+  };
+  // no year given: this year, or next year once the date has passed
+  const upcoming = (mo, d) => {
+    const x = dateOf(base.year(), mo, d);
+    return x.isValid() && x.isBefore(base.startOf("day")) ? dateOf(base.year() + 1, mo, d) : x;
+  };
+  let rule = null;
+  let m;
+
+  // recurrence
+  if ((m = take(/\b(?:every|har)\s+(\d+)\s*(hours?|hrs?|ghante|ghanta)\b/))) rule = { type: "hours", every: Number(m[1]) };
+  else if ((m = take(/\b(?:every|har)\s+(\d+)\s*(days?|din)\b/))) rule = { type: "days", every: Number(m[1]) };
+  else if (take(/\b(?:every\s*day|daily|roz|rozana|har\s+din)\b/)) rule = { type: "daily" };
+  else if (take(/\b(?:every\s+weekday|weekdays)\b/)) rule = { type: "weekly", weekdays: [1, 2, 3, 4, 5] };
+  else if ((m = take(new RegExp(`\\b(?:every|har)\\s+((?:${WD})(?:\\s*(?:,|and|aur|&)\\s*(?:${WD}))*)\\b`)))) {
+    const days = m[1].split(/\s*(?:,|and|aur|&)\s*/).map(w => WEEKDAY_WORDS[w]);
+    rule = { type: "weekly", weekdays: [...new Set(days)].sort() };
+  } else if ((m = take(/\b(?:every\s+month|monthly|har\s+mahine)\s+(?:on\s+)?(?:the\s+)?(last(?:\s+day)?|\d{1,2})(?:st|nd|rd|th)?\b/))) {
+    rule = m[1].startsWith("last") ? { type: "lastday" } : { type: "monthday", day: Number(m[1]) };
+    if (rule.day !== undefined && (rule.day < 1 || rule.day > 31)) return null;
+  }
+  if (rule && (rule.every === 0)) return null;
+  if (rule && (m = take(/\buntil\s+(\d{4}-\d{2}-\d{2})\b/))) rule.until = m[1];
+  if (rule && (m = take(/\b(\d+)\s*times\b/))) rule.count = Number(m[1]);
+
+  // "in 2 hours" / "2 ghante baad"
+  let when = null;
+  if ((m = take(/\bin\s+(\d+)\s*(minutes?|mins?|m|hours?|hrs?|h|days?|d)\b/)) ||
+      (m = take(/\b(\d+)\s*(minute|minat|min|ghante|ghanta|din)\s+(?:baad|mein|me)\b/))) {
+    const unit = /^(h|ghant)/.test(m[2]) ? "hour" : /^(d|din)/.test(m[2]) ? "day" : "minute";
+    when = base.add(Number(m[1]), unit);
+  }
+
+  // which day
+  let day = null;
+  let dayGiven = false;
+  let weekdayGiven = false;
+  if (take(/\b(?:day after tomorrow|parso|parson)\b/)) day = base.add(2, "day");
+  else if (take(/\b(?:tomorrow|tmrw|kal)\b/)) day = base.add(1, "day");
+  else if (take(/\b(?:today|aaj)\b/)) day = base;
+  else if ((m = take(/\b(?:on\s+)?(\d{4})-(\d{2})-(\d{2})\b/))) day = dateOf(m[1], m[2], m[3]);
+  else if ((m = take(/\b(?:on\s+)?(\d{1,2})\/(\d{1,2})\b/))) day = upcoming(m[2], m[1]);
+  else if ((m = take(new RegExp(`\\b(?:on\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(${MON})\\b(?:\\s+(\\d{4})\\b)?`))) ||
+           (m = take(new RegExp(`\\b(?:on\\s+)?(${MON})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?!\\s*(?:am|pm|baje|[:.]\\d))(?:,?\\s+(\\d{4})\\b)?`)))) {
+    const [d, mo] = /^\d/.test(m[1]) ? [m[1], MONTH_WORDS[m[2]]] : [m[2], MONTH_WORDS[m[1]]];
+    day = m[3] ? dateOf(m[3], mo, d) : upcoming(mo, d);
+  } else if ((m = [...low.matchAll(new RegExp(`\\b(on\\s+|next\\s+|this\\s+)?(${WD})(\\s+ko)?\\b`, "g"))].find(
+    // a bare weekday after the time is just a word ("6pm sun dry chillies")
+    x => x[1] || x[3] || !TIME_WORD_RE.test(low.slice(0, x.index))
+  ))) {
+    cut(m);
+    const ahead = (WEEKDAY_WORDS[m[2]] - base.day() + 7) % 7 || (m[1] && m[1].startsWith("next") ? 7 : 0);
+    day = base.add(ahead, "day");
+    weekdayGiven = true;
+  }
+  if (day) {
+    if (!day.isValid()) return null;
+    dayGiven = true;
+  }
+
+  // time of day; a bare hour binds to the part-of-day word next to it ("shaam 6", "6 shaam")
+  let part = null;
+  let partTime = null;
+  if ((m = take(new RegExp(`\\b(${DAY_PART_WORDS})\\s+(\\d{1,2})(?:[:.](\\d{2}))?(?:\\s*baje)?\\b`)))) {
+    part = m[1];
+    partTime = [m[2], m[3]];
+  } else if ((m = take(new RegExp(`\\b(\\d{1,2})(?:[:.](\\d{2}))?\\s+(${DAY_PART_WORDS})\\b`)))) {
+    part = m[3];
+    partTime = [m[1], m[2]];
+  } else if ((m = take(new RegExp(`\\b(${DAY_PART_WORDS})\\b`)))) part = m[1];
+  if (part === "tonight" && !day) day = base;
+  let hh = null;
+  let mm = 0;
+  if (!partTime && (m = take(/\b(?:at\s+)?(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)\b/))) {
+    hh = Number(m[1]) % 12 + (m[3] === "pm" ? 12 : 0);
+    mm = Number(m[2] || 0);
+  } else if (partTime || (m = take(/\b(?:at\s+)?(\d{1,2}):(\d{2})\b/)) || (m = take(/\b(\d{1,2})(?:[:.](\d{2}))?\s*baje\b/)) ||
+             (m = take(/\bat\s+(\d{1,2})\b/))) {
+    const [h, min] = partTime || [m[1], m[2]];
+    hh = Number(h);
+    mm = Number(min || 0);
+    if (part && DAY_PARTS[part][1] && hh < 12) hh += 12;
+  } else if (part) {
+    hh = DAY_PARTS[part][0];
+  }
+  if (hh !== null && (hh > 23 || mm > 59)) return null;
+
+  if (!when && rule && rule.type === "hours" && hh === null && !dayGiven) when = base.add(rule.every, "hour");
+  if (!when) {
+    if (hh === null && !dayGiven && !rule) return null;
+    if (hh === null) hh = 9;
+    const d = day || base;
+    when = dayjs.tz(`${d.format("YYYY-MM-DD")} ${String(hh).padStart(2, "0")}:${String(mm).padStart(2, "0")}`, REMINDER_TZ);
+    if (!dayGiven && !when.isAfter(base)) when = when.add(1, "day");
+    // "monday 9am" said on a Monday at 10 means next Monday
+    if (weekdayGiven && !when.isAfter(base)) when = when.add(7, "day");
+  }
+  rule = rule || { type: "once" };
+  when = alignOccurrence(rule, when);
+  if (when && !when.isAfter(base)) when = nextOccurrence(rule, when);
+  if (!when) return null;
+
+  const text = orig
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^(?:to|that|ki|ko|about)\s+/i, "");
+  if (!text) return null;
+  return { when, rule, text };
+}
+
+// older reminders only carry repeat: once|daily
+function reminderRule(r) {
+  return r.rule || { type: r.repeat === "daily" ? "daily" : "once" };
+}
+
+// schedules: explicit rule, else the legacy weekdays / intervalDays fields
+function scheduleRule(s) {
+  if (s.rule) return s.rule;
+  if (s.weekdays) return { type: "weekly", weekdays: s.weekdays };
+  const every = Number(s.intervalDays) || 1;
+  return every === 1 ? { type: "daily" } : { type: "days", every };
+}
+
+// next run of a schedule for one recipient, counted from what they were last sent;
+// runs missed by more than half an hour are skipped (returned as `skipped`), not sent late
+function scheduleNext(s, lastSentIso, tz, now = dayjs()) {
+  const rule = scheduleRule(s);
+  const time = (s.time || "00:00").padStart(5, "0");
+  const todayAt = dayjs.tz(`${dayjs(now).tz(tz).format("YYYY-MM-DD")} ${time}`, tz);
+  const base = lastSentIso
+    ? dayjs(lastSentIso)
+    : todayAt.subtract(rule.type === "hours" ? rule.every * 60 : 1, "minute");
+  let due = nextOccurrence(rule, base, tz, time);
+  let skipped = null;
+  for (let i = 0; due && dayjs(now).diff(due, "minute") > 30 && i < 10000; i++) {
+    skipped = due;
+    due = nextOccurrence(rule, due, tz, time);
+  }
+  return { rule, time, due, skipped };
+}
+
+// staff manage their own reminders; reminders.broadcast manages everyone's
+function canManageReminder(uid, r) {
+  return r.createdBy === String(uid) || can(uid, "reminders.broadcast");
+}
+
+// a snooze (from the list) moves only the pending occurrence, not the rule
+function reminderFireAt(r) {
+  return dayjs(r.snoozedUntil || r.when);
+}
+
+const SNOOZES = { 15: "15 min", 60: "1 hour", tmr: "Tomorrow" };
+
+function snoozeUntil(base, key) {
+  return key === "tmr" ? dayjs(base).add(1, "day") : dayjs(base).add(Number(key), "minute");
+}
+
+function reminderTargetText(target) {
+  if (target === "all") return "everyone";
+  const who = findPartner(target) || db.staff.find(x => String(x.id) === String(target));
+  return who ? who.name : target;
+}
+
+function reminderListView(uid) {
+  const mine = db.reminders.filter(
+    r =>
+      !r.done &&
+      (r.target === String(uid) ||
+        r.target === "all" ||
+        r.createdBy === String(uid))
+  );
+  const kb = new InlineKeyboard();
+  if (!mine.length) return { text: "No reminders.", kb: kb.text("➕ Add Reminder", "rem:add").text("⬅️ Back", "menu:reminders") };
+  const text = mine
+    .map((r, i) => {
+      const rule = reminderRule(r);
+      const next = upcomingOccurrences(rule, r.when, r.sent || 0, 3).map(t => t.tz(REMINDER_TZ).format("ddd DD MMM HH:mm"));
+      if (r.snoozedUntil) next[0] = `${reminderFireAt(r).tz(REMINDER_TZ).format("ddd DD MMM HH:mm")} (snoozed)`;
+      return (
+        `${i + 1}. ${r.paused ? "⏸ " : ""}${r.text} — to ${reminderTargetText(r.target)} — ${recurrenceText(rule)}\n` +
+        `   Next: ${r.paused ? "paused" : next.length ? next.join(" · ") : "—"}`
+      );
+    })
+    .join("\n");
+  mine.forEach((r, i) => {
+    kb.text(`${i + 1}`, `rem:view:${r.id}`);
+    if ((i + 1) % 5 === 0) kb.row();
+  });
+  if (kb.inline_keyboard[kb.inline_keyboard.length - 1].length) kb.row();
+  kb.text("➕ Add Reminder", "rem:add").text("⬅️ Back", "menu:reminders");
+  return { text: `${E.calendar} Reminders\n\n${text}`, kb };
+}
+
+function saveReminder(uid, draft) {
+  const r = {
+    id: `r${Date.now()}`,
+    createdBy: String(uid),
+    target: draft.target,
+    text: draft.text,
+    when: dayjs(draft.when).toISOString(),
+    rule: draft.rule,
+    sent: 0
+  };
+  db.reminders.push(r);
+  writeDbSync(db);
+  logAudit(uid, "addreminder", `${r.id}|${r.target}|${r.text}|${r.when}|${recurrenceText(r.rule)}`);
+  return r;
+}
+
+// "me", "all", a chat id, or the first name of a partner / staff member
+function resolveReminderTarget(word, uid) {
+  const w = String(word || "").toLowerCase();
+  if (w === "me") return String(uid);
+  if (w === "all") return "all";
+  if (/^\d+$/.test(w)) return w;
+  const who = [...db.partners, ...db.staff].find(x => (x.name || "").toLowerCase().split(" ")[0] === w);
+  return who ? String(who.id) : null;
+}
+
+function reminderDraftCard(draft) {
+  const next = upcomingOccurrences(draft.rule, draft.when, 0, 3).map(t => t.tz(REMINDER_TZ).format("ddd DD MMM HH:mm"));
+  const text =
+    `${E.calendar} New reminder — check & save\n\n` +
+    `To: ${reminderTargetText(draft.target)}\n` +
+    `What: ${draft.text}\n` +
+    `When: ${dayjs(draft.when).tz(REMINDER_TZ).format("ddd DD MMM YYYY HH:mm")}\n` +
+    `Repeat: ${recurrenceText(draft.rule)}` +
+    (next.length > 1 ? `\nNext: ${next.join(" · ")}` : "");
+  const kb = new InlineKeyboard().text(`${E.ok} Save`, "remc:save").text(`${E.cancel} Cancel`, "remc:cancel");
+  return { text, kb };
+}
+
+function escalationText(esc) {
+  if (!esc) return "off";
+  return `re-send after ${esc.minutes} min${esc.resends > 1 ? ` (×${esc.resends})` : ""}, then alert owners`;
+}
+
+// delivery log (db.reminderHistory): one entry per send, with recipients and Done taps
+const REMINDER_OVERDUE_MINUTES = 60;
+
+function reminderOverdue(h, now = dayjs()) {
+  return !h.acks.length && (!!h.escalatedAt || now.diff(dayjs(h.sentAt), "minute") >= REMINDER_OVERDUE_MINUTES);
+}
+
+function reminderHistoryView(uid) {
+  const all = can(uid, "reminders.broadcast");
+  const mine = db.reminderHistory
+    .filter(h => all || h.createdBy === String(uid) || h.recipients.includes(String(uid)))
+    .sort((a, b) => dayjs(b.sentAt).valueOf() - dayjs(a.sentAt).valueOf());
+  const fmt = t => dayjs(t).tz(REMINDER_TZ).format("DD MMM HH:mm");
+  const who = h => h.recipients.map(reminderTargetText).join(", ") || "nobody";
+  const overdue = mine.filter(h => reminderOverdue(h)).slice(0, 10);
+  const waiting = mine.filter(h => !h.acks.length && !reminderOverdue(h)).slice(0, 10);
+  const done = mine.filter(h => h.acks.length).slice(0, 10);
+  const lines = [`${E.calendar} Reminder history`, ""];
+  lines.push(`🚨 Overdue (${overdue.length})`);
+  for (const h of overdue) {
+    lines.push(`• ${h.text} — sent ${fmt(h.sentAt)} to ${who(h)}${h.resends ? ` · re-sent ${h.resends}×` : ""}${h.escalatedAt ? " · owners alerted" : ""}`);
+  }
+  lines.push("", `${E.clock} Waiting for Done (${waiting.length})`);
+  for (const h of waiting) lines.push(`• ${h.text} — sent ${fmt(h.sentAt)} to ${who(h)}`);
+  lines.push("", `${E.ok} Recently done`);
+  for (const h of done) {
+    lines.push(`• ${h.text} — sent ${fmt(h.sentAt)}; done by ${h.acks.map(a => `${reminderTargetText(a.by)} ${fmt(a.when)}`).join(", ")}`);
+  }
+  if (!done.length) lines.push("—");
+  return { text: lines.join("\n"), kb: new InlineKeyboard().text("⬅️ Back", "menu:reminders") };
+}
+
+function reminderView(r, uid) {
+  const rule = reminderRule(r);
+  const next = upcomingOccurrences(rule, r.when, r.sent || 0, 3).map(t => t.tz(REMINDER_TZ).format("ddd DD MMM HH:mm"));
+  const lines = [
+    `${E.calendar} ${r.text}`,
+    "",
+    `To: ${reminderTargetText(r.target)}`,
+    `Repeat: ${recurrenceText(rule)}`,
+    r.paused ? "Status: ⏸ paused" : `Next: ${next.length ? next.join(" · ") : "—"}`,
+    `Escalation: ${escalationText(r.escalation)}`
+  ];
+  if (r.snoozedUntil) lines.push(`Snoozed until ${reminderFireAt(r).tz(REMINDER_TZ).format("ddd DD MMM HH:mm")}`);
+  const kb = new InlineKeyboard();
+  if (canManageReminder(uid, r)) {
+    kb.text("✏️ Text", `rem:edit:${r.id}:text`)
+      .text("🕘 Time", `rem:edit:${r.id}:time`)
+      .text("👥 Target", `rem:edit:${r.id}:target`)
+      .text("🔁 Repeat", `rem:edit:${r.id}:repeat`)
+      .row()
+      .text("🚨 Escalation", `rem:edit:${r.id}:escalate`)
+      .row();
+    for (const [key, label] of Object.entries(SNOOZES)) kb.text(`💤 ${label}`, `rem:snz:${r.id}:${key}`);
+    kb.row()
+      .text(r.paused ? "▶️ Resume" : "⏸ Pause", `rem:${r.paused ? "resume" : "pause"}:${r.id}`)
+      .text("🗑 Delete", `rem:del:${r.id}`)
+      .row();
+  }
+  kb.text("⬅️ Back", "rem:list");
+  return { text: lines.join("\n"), kb };
+}
+
+// what a delivered reminder carries: Done (acknowledges this delivery) + snooze
+function reminderDeliveryKeyboard(id, historyId) {
+  const kb = new InlineKeyboard().text(`${E.ok} Done`, `remdone:${historyId}`).row();
+  for (const [key, label] of Object.entries(SNOOZES)) kb.text(`💤 ${label}`, `remsnz:${id}:${key}`);
+  return kb;
+}
+
+// bot + express
+const bot = new Bot(TELEGRAM_TOKEN);
+const app = express();
+
+// DM every owner (except the one who triggered it)
+async function notifyOwners(text, exceptId) {
+  for (const p of db.partners.filter(x => x.role === "owner")) {
+    if (String(p.id) === String(exceptId)) continue;
+    try {
+      await bot.api.sendMessage(String(p.id), text);
+    } catch (e) {
+      console.error("owner notify err", e.message);
+    }
+  }
+}
+
+// MAIN MENU keyboard
+function mainMenuKeyboard(userId) {
+  const admin = can(userId, "system.admin");
   const kb = new InlineKeyboard()
     .text("👥 Employees", "menu:employees")
     .text("📦 Inventory", "menu:inventory")
@@ -358,6 +2541,9 @@ function mainMenuKeyboard(userId) {
     .text("⏰ Reminders", "menu:reminders")
     .text("📄 Commands", "menu:commands")
     .row();
+  if (getStaff(userId)) {
+    kb.text("🙋 My Profile", "me:home");
+  }
   if (admin) {
     kb.text("🛠 Admin", "menu:admin");
   }
@@ -366,12 +2552,37 @@ function mainMenuKeyboard(userId) {
 }
 
 // simple keyboards
-function vegKeyboard(date) {
+// tracked confirmations: any schedule with `confirm` set (the veg list always is)
+// gets yes / no / not-yet buttons, follow-ups and an URGENT escalation.
+function scheduleConfirm(s) {
+  if (!s || (!s.confirm && s.id !== "vegetables")) return null;
+  const veg = db.settings.vegConfirm || defaultSettings().vegConfirm;
+  return {
+    followupMinutes1: veg.followupMinutes1,
+    followupMinutes2: veg.followupMinutes2,
+    assignee: "all",
+    escalateTo: "all",
+    ...(s.confirm || {})
+  };
+}
+
+// "all" = every partner, "owners", or one chat id
+function confirmRecipients(who) {
+  if (who === "all") return db.partners.map(p => String(p.id));
+  if (who === "owners") return db.partners.filter(p => p.role === "owner").map(p => String(p.id));
+  return [String(who)];
+}
+
+function confirmWhoText(who) {
+  return who === "owners" ? "owners" : reminderTargetText(who);
+}
+
+function confirmKeyboard(scheduleId, occ) {
   return new InlineKeyboard()
-    .text("✅ Yes", `veg:${date}:yes`)
-    .text("❌ No", `veg:${date}:no`)
+    .text("✅ Yes", `chk:${scheduleId}:${occ}:yes`)
+    .text("❌ No", `chk:${scheduleId}:${occ}:no`)
     .row()
-    .text("⏳ Not yet", `veg:${date}:notyet`);
+    .text("⏳ Not yet", `chk:${scheduleId}:${occ}:notyet`);
 }
 function paymentKeyboard(staffId) {
   return new InlineKeyboard()
@@ -391,6 +2602,46 @@ function inventoryAckKeyboard(itemId) {
   return new InlineKeyboard()
     .text("✅ OK / Updated", `invack:${itemId}`);
 }
+function backupsKeyboard(back) {
+  const kb = new InlineKeyboard();
+  for (const b of listBackups().slice(0, 10)) {
+    const label = dayjs(b.when).tz("Asia/Kolkata").format("YYYY-MM-DD HH:mm");
+    const tag = b.file.includes("-prerestore") ? " (pre-restore)" : "";
+    kb.text(`♻️ ${label}${tag} — ${Math.ceil(b.size / 1024)} KB`, `restore:${b.file}`).row();
+  }
+  if (back) kb.text("⬅️ Back", back);
+  return kb;
+}
+
+// permission matrix editor (owners only); owner itself is not editable
+function permissionRolesKeyboard() {
+  const kb = new InlineKeyboard();
+  for (const role of ROLES.filter(r => r !== "owner")) {
+    const custom = Array.isArray((db.settings.permissions || {})[role]) ? " ✏️" : "";
+    kb.text(`${role} (${rolePermissions(role).length})${custom}`, `perm:role:${role}`).row();
+  }
+  kb.text("⬅️ Back", "menu:admin");
+  return kb;
+}
+
+function rolePermissionsView(role) {
+  const granted = rolePermissions(role);
+  const kb = new InlineKeyboard();
+  Object.keys(PERMISSIONS).forEach((perm, i) => {
+    kb.text(`${granted.includes(perm) ? "✅" : "▫️"} ${perm}`, `perm:t:${role}:${perm}`);
+    if (i % 2 === 1) kb.row();
+  });
+  if (Object.keys(PERMISSIONS).length % 2 === 1) kb.row();
+  kb.text("↩️ Reset to defaults", `perm:reset:${role}`).row();
+  kb.text("⬅️ Back", "perm:roles");
+  const lines = Object.entries(PERMISSIONS).map(
+    ([perm, desc]) => `${granted.includes(perm) ? "✅" : "▫️"} ${perm} — ${desc}`
+  );
+  return {
+    text: `🔑 Role: ${role}\nTap a permission to grant or revoke it.\n\n${lines.join("\n")}`,
+    kb
+  };
+}
 
 // /start
 bot.command("start", async (ctx) => {
@@ -399,7 +2650,7 @@ bot.command("start", async (ctx) => {
     const p = findPartner(ctx.from.id);
     const staff = getStaff(ctx.from.id) || upsertStaff(ctx.from.id, name, p?.role || "staff", p?.tz || "Asia/Kolkata");
     const sess = getSession(ctx.from.id);
-    const tmpTag = sess && sess.tempAdmin ? " (TEMP ADMIN)" : "";
+    const tmpTag = tempAdminActive(sess) ? " (TEMP ADMIN)" : "";
     const roleText = p
       ? `${p.role.toUpperCase()}${p.role === "owner" ? " " + E.heart : ""}${tmpTag}`
       : `STAFF${tmpTag}`;
@@ -408,7 +2659,7 @@ bot.command("start", async (ctx) => {
       `Welcome to *GTA Food City Assistant*.\n\n` +
       `Role: *${roleText}*\n\n` +
       `I help with:\n` +
-      `• Daily veg list follow-up\n` +
+      `• Daily veg list & checklist follow-ups\n` +
       `• Inventory & low-stock alerts\n` +
       `• Staff attendance & payroll reminders\n` +
       `• Custom reminders for owners & staff\n\n` +
@@ -432,23 +2683,60 @@ bot.command("whoami", (ctx) => {
   const staff = db.staff.find(s => String(s.id) === id);
   const baseRole = partner?.role || staff?.role || "staff";
   const sess = db.sessions && db.sessions[id];
-  const tmp = sess && sess.tempAdmin ? " (TEMP ADMIN)" : "";
-  ctx.reply(`${id}\nRole: ${baseRole}${tmp}`);
+  const tmp = tempAdminActive(sess)
+    ? ` (TEMP ADMIN until ${tempAdminExpiry(sess).tz("Asia/Kolkata").format("HH:mm")})`
+    : "";
+  const role = roleOf(id);
+  const perms = role ? rolePermissions(role) : [];
+  ctx.reply(`${id}\nRole: ${baseRole}${tmp}\nPermissions: ${perms.length ? perms.join(", ") : "none"}`);
 });
 
 // /admin
 bot.command("admin", async (ctx) => {
-  setSession(ctx.from.id, { action: "admin_login", step: 1 });
-  await ctx.reply("Enter admin password:");
+  const uid = String(ctx.from.id);
+  reloadDb();
+  if (!baseRoleOf(uid)) return ctx.reply("Not registered. Ask admin to add you.");
+  if (isOwner(uid)) return ctx.reply("Owners already have full access.");
+  if (!adminPasswordHash()) {
+    return ctx.reply("Temporary admin is not set up yet. An owner has to run /setadminpass first.");
+  }
+  const sess = db.sessions[uid] || {};
+  if (sess.adminLockedUntil && dayjs().isBefore(dayjs(sess.adminLockedUntil))) {
+    const until = dayjs(sess.adminLockedUntil).tz("Asia/Kolkata").format("HH:mm");
+    return ctx.reply(`${E.warn} Too many wrong passwords. Try again after ${until}.`);
+  }
+  setSession(uid, { action: "admin_login", step: 1 });
+  await ctx.reply("Enter admin password (the message is deleted right after):");
+});
+
+// /setadminpass <password> — owners only, stored hashed
+bot.command("setadminpass", async (ctx) => {
+  const uid = String(ctx.from.id);
+  if (!isOwner(uid)) return ctx.reply("Only owners can change the admin password.");
+  const plain = ctx.message.text.split(" ").slice(1).join(" ").trim();
+  try {
+    await ctx.deleteMessage();
+  } catch (e) {
+    console.error("delete password msg err", e.message);
+  }
+  if (plain.length < 6) return ctx.reply("Usage: /setadminpass <password> (at least 6 characters)");
+  reloadDb();
+  db.settings.tempAdmin = { ...(db.settings.tempAdmin || {}), passwordHash: hashPassword(plain) };
+  writeDbSync(db);
+  logAudit(uid, "admin_password_set", "settings");
+  await ctx.reply(
+    ENV_ADMIN_HASH
+      ? `${E.warn} Saved, but ADMIN_PASSWORD/ADMIN_PASSWORD_HASH is set in the environment and still takes priority.`
+      : `${E.ok} Admin password updated. Your message was deleted.`
+  );
 });
 
 // /logout
 bot.command("logout", async (ctx) => {
   reloadDb();
   const sess = db.sessions && db.sessions[String(ctx.from.id)];
-  if (sess && sess.tempAdmin) {
-    delete sess.tempAdmin;
-    delete sess.tempAdminSince;
+  if (tempAdminActive(sess)) {
+    revokeTempAdmin(sess);
     writeDbSync(db);
     await ctx.reply("✅ Logged out of temporary admin — back to your normal role.");
     logAudit(ctx.from.id, "temp_admin_revoked", String(ctx.from.id));
@@ -465,11 +2753,14 @@ bot.command("cancel", (ctx) => {
 
 // add/remove partners
 bot.command("addpartner", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Not authorized.");
+  if (!can(ctx.from.id, "partners.manage")) return ctx.reply(noPerm("partners.manage"));
   const parts = ctx.message.text.split(" ").slice(1);
   if (parts.length < 2) return ctx.reply("Usage: /addpartner <chat_id> <name> [role]");
-  const id = parts[0], name = parts[1], role = parts[2] || "staff";
+  const id = parts[0], name = parts[1], role = (parts[2] || "staff").toLowerCase();
+  if (!ROLES.includes(role)) return ctx.reply(`Role must be one of: ${ROLES.join(", ")}`);
   reloadDb();
+  const blocked = [role, baseRoleOf(id)].find(r => r && !canGrantRole(ctx.from.id, r));
+  if (blocked) return ctx.reply(`You can't grant or remove ${blocked} — it has permissions your role doesn't.`);
   if (db.partners.find(p => String(p.id) === String(id))) return ctx.reply("Partner exists.");
   db.partners.push({ id: String(id), name, role, tz: "Asia/Kolkata" });
   writeDbSync(db);
@@ -479,49 +2770,442 @@ bot.command("addpartner", async (ctx) => {
 });
 
 bot.command("removepartner", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Not authorized.");
+  if (!can(ctx.from.id, "partners.manage")) return ctx.reply(noPerm("partners.manage"));
   const parts = ctx.message.text.split(" ").slice(1);
   if (!parts.length) return ctx.reply("Usage: /removepartner <chat_id>");
   const id = parts[0];
   reloadDb();
   const idx = db.partners.findIndex(p => String(p.id) === String(id));
   if (idx === -1) return ctx.reply("Partner not found.");
+  const role = baseRoleOf(id);
+  if (!canGrantRole(ctx.from.id, role)) return ctx.reply(`You can't grant or remove ${role} — it has permissions your role doesn't.`);
+  // owners get notifyOwners and storage notices; never leave the bot without one
+  if (role === "owner" && db.partners.filter(p => p.role === "owner").length === 1) {
+    return ctx.reply("That's the only owner — add another owner first.");
+  }
   const removed = db.partners.splice(idx, 1)[0];
+  // baseRoleOf falls back to the staff record, so the role has to go there too
+  const staff = db.staff.find(s => String(s.id) === String(id));
+  if (staff && staff.role !== "staff") {
+    logAudit(ctx.from.id, "set_role", `${staff.id}|staff|was ${staff.role}`);
+    staff.role = "staff";
+  }
   writeDbSync(db);
   logAudit(ctx.from.id, "removepartner", JSON.stringify(removed));
-  ctx.reply(`Removed partner ${removed.name} (${removed.id}).`);
+  ctx.reply(`Removed partner ${removed.name} (${removed.id})${staff ? " — their staff record is now role staff" : ""}.`);
+});
+
+// heartbeat devices: display name + per-device alert threshold
+bot.command("device", async (ctx) => {
+  if (!can(ctx.from.id, "system.admin")) return ctx.reply(noPerm("system.admin"));
+  const parts = ctx.message.text.split(" ").slice(1);
+  if (parts.length < 2) {
+    return ctx.reply("Usage: /device <id> <minutes> [display name]\nOr: /device <id> remove");
+  }
+  const id = parts[0];
+  reloadDb();
+  db.heartbeats = db.heartbeats || {};
+  if (parts[1].toLowerCase() === "remove") {
+    if (!db.heartbeats[id]) return ctx.reply("Device not found.");
+    delete db.heartbeats[id];
+    writeDbSync(db);
+    logAudit(ctx.from.id, "device_removed", id);
+    return ctx.reply(`Stopped monitoring ${id}.`);
+  }
+  const minutes = Number(parts[1]);
+  if (isNaN(minutes) || minutes <= 0) return ctx.reply("Enter threshold in minutes (number > 0).");
+  const dev = (db.heartbeats[id] = db.heartbeats[id] || {});
+  dev.thresholdMinutes = minutes;
+  if (parts.length > 2) dev.name = parts.slice(2).join(" ");
+  writeDbSync(db);
+  logAudit(ctx.from.id, "device_set", `${id}|${minutes}|${dev.name || ""}`);
+  ctx.reply(`${E.heart} ${deviceLabel(id, dev)} — alert after ${minutes} min without a heartbeat.`);
+});
+
+// backups
+bot.command("restore", async (ctx) => {
+  if (!can(ctx.from.id, "system.admin")) return ctx.reply(noPerm("system.admin"));
+  if (!listBackups().length) return ctx.reply("No backups yet.");
+  await ctx.reply("💾 *Backups* (newest first)\nTap one to roll the database back to it.", {
+    parse_mode: "Markdown",
+    reply_markup: backupsKeyboard()
+  });
 });
 
 // inventory commands
 bot.command("additem", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Only owners/admins.");
+  if (!can(ctx.from.id, "inventory.manage")) return ctx.reply(noPerm("inventory.manage"));
   setSession(ctx.from.id, { action: "additem", step: 1, temp: {} });
   await ctx.reply("Add Item — Step 1/4: Enter item id (short):");
 });
 bot.command("purchase", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Only owners/admins.");
+  if (!can(ctx.from.id, "inventory.purchase")) return ctx.reply(noPerm("inventory.purchase"));
   setSession(ctx.from.id, { action: "purchase", step: 1, temp: {} });
-  await ctx.reply("Purchase — Step 1/3: Enter item id or name:");
+  await ctx.reply("Purchase — Step 1/4: Enter item id or name:");
 });
 bot.command("setusage", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Only owners/admins.");
+  if (!can(ctx.from.id, "inventory.manage")) return ctx.reply(noPerm("inventory.manage"));
   setSession(ctx.from.id, { action: "setusage", step: 1, temp: {} });
   await ctx.reply("Set Usage — Step 1/2: Enter item id or name:");
 });
+// usage: deduct stock + ledger entry, shared by /use and the Record Usage flow
+function recordUsage(it, qty, actor) {
+  const taken = deductUsage(it, qty, actor);
+  writeDbSync(db);
+  logAudit(actor, "use", `${it.id}|${taken}`);
+  let msg = `${E.package} Usage recorded: -${taken} ${it.unit} from ${it.name}. Now ${it.stock} ${it.unit}`;
+  if (taken < qty) {
+    msg += `\n${E.warn} Only ${taken} ${it.unit} was on record — please check the actual stock.`;
+  }
+  return msg;
+}
+
+bot.command("use", async (ctx) => {
+  const uid = String(ctx.from.id);
+  if (!can(uid, "inventory.use")) return ctx.reply(noPerm("inventory.use"));
+  const args = ctx.message.text.split(" ").slice(1).join(" ");
+  if (!args.trim()) {
+    setSession(uid, { action: "use", step: 1, temp: {} });
+    return ctx.reply("Record Usage — Step 1/2: Enter item id or name:");
+  }
+  const parsed = parseItemQty(args);
+  if (!parsed) return ctx.reply("Usage: /use <item> <qty>");
+  const it = findInventoryItemFlexible(parsed.key);
+  if (!it) return ctx.reply("Item not found. Tip: use /inventory to see IDs & names.");
+  ctx.reply(recordUsage(it, parsed.qty, uid));
+});
+
+bot.command("autodeduct", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.manage")) return ctx.reply(noPerm("inventory.manage"));
+  const parts = ctx.message.text.split(" ").slice(1);
+  const mode = (parts[parts.length - 1] || "").toLowerCase();
+  if (parts.length < 2 || !["on", "off"].includes(mode)) {
+    return ctx.reply("Usage: /autodeduct <item> <on|off>");
+  }
+  const it = findInventoryItemFlexible(parts.slice(0, -1).join(" "));
+  if (!it) return ctx.reply("Item not found. Tip: use /inventory to see IDs & names.");
+  it.autoDeduct = mode === "on";
+  writeDbSync(db);
+  logAudit(ctx.from.id, "autodeduct", `${it.id}|${mode}`);
+  const at = (db.settings.inventory || {}).autoDeductTime || "23:55";
+  ctx.reply(
+    it.autoDeduct
+      ? `${E.package} ${it.name}: daily usage (${it.dailyUsage} ${it.unit}) will be deducted at ${at} IST, minus anything recorded with /use that day.`
+      : `${E.package} ${it.name}: auto deduction off.`
+  );
+});
+
+bot.command("ledger", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.reports")) return ctx.reply(noPerm("inventory.reports"));
+  const parts = ctx.message.text.split(" ").slice(1);
+  if (!parts.length) return ctx.reply("Usage: /ledger <item> [count]");
+  let count = 15;
+  if (parts.length > 1 && !isNaN(Number(parts[parts.length - 1]))) count = Number(parts.pop());
+  const it = findInventoryItemFlexible(parts.join(" "));
+  if (!it) return ctx.reply("Item not found. Tip: use /inventory to see IDs & names.");
+  const moves = db.stockLedger.filter(m => m.itemId === it.id).slice(-count);
+  if (!moves.length) return ctx.reply(`No stock movements for ${it.name} yet.`);
+  const lines = moves.map(m => {
+    const when = dayjs(m.when).tz("Asia/Kolkata").format("MM-DD HH:mm");
+    const sign = m.qty > 0 ? "+" : "";
+    const who = m.actor === "system" ? "auto" : (getStaff(m.actor) || {}).name || m.actor;
+    return `${when} ${m.type} ${sign}${m.qty} → ${m.stockAfter} (${who})${m.note ? " — " + m.note : ""}`;
+  });
+  ctx.reply(`${E.file} Stock ledger — ${it.name} (${it.unit})\n` + lines.join("\n"));
+});
+
 bot.command("inventory", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.use")) return ctx.reply(noPerm("inventory.use"));
   reloadDb();
   if (!db.inventory.length) return ctx.reply("No inventory items.");
-  const lines = db.inventory.map(it => {
-    const days = calcDaysLeft(it);
-    const daysText = isFinite(days) ? `${Math.floor(days)} day(s)` : "N/A";
-    return `${E.package} ${it.name} (${it.id}) — ${it.stock} ${it.unit}, daily ${it.dailyUsage} — ~${daysText} left`;
+  ctx.reply(inventorySummaryLines().join("\n"));
+});
+
+bot.command("learnusage", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.manage")) return ctx.reply(noPerm("inventory.manage"));
+  const parts = ctx.message.text.split(" ").slice(1);
+  const mode = (parts[parts.length - 1] || "").toLowerCase();
+  if (parts.length < 2 || !["auto", "suggest", "off"].includes(mode)) {
+    return ctx.reply("Usage: /learnusage <item> <auto|suggest|off>");
+  }
+  const it = findInventoryItemFlexible(parts.slice(0, -1).join(" "));
+  if (!it) return ctx.reply("Item not found. Tip: use /inventory to see IDs & names.");
+  it.learnUsage = mode;
+  if (mode === "off") delete it.usagePattern;
+  writeDbSync(db);
+  logAudit(ctx.from.id, "learnusage", `${it.id}|${mode}`);
+  const obs = getObservedUsage(it.id);
+  const obsText = obs
+    ? `Observed so far: 7d ${obs.avg7}, 30d ${obs.avg30}, weekday ${obs.weekday ?? "-"}, weekend ${obs.weekend ?? "-"}.`
+    : "No usage recorded yet — use /use to build history.";
+  ctx.reply(`${E.package} Learned usage for ${it.name}: ${mode}.\n${obsText}`);
+});
+
+bot.command("setcost", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.manage")) return ctx.reply(noPerm("inventory.manage"));
+  const parsed = parseItemQty(ctx.message.text.split(" ").slice(1).join(" "));
+  if (!parsed) return ctx.reply("Usage: /setcost <item> <cost per unit>");
+  const it = findInventoryItemFlexible(parsed.key);
+  if (!it) return ctx.reply("Item not found. Tip: use /inventory to see IDs & names.");
+  it.unitCost = parsed.qty;
+  writeDbSync(db);
+  logAudit(ctx.from.id, "setcost", `${it.id}|${parsed.qty}`);
+  ctx.reply(`${E.money} ${it.name}: ${fmtMoney(parsed.qty)} per ${it.unit}.`);
+});
+
+// waste: /waste <item> <qty> <reason>, or /waste alone for the guided flow
+function wasteReply(it, qty, reason, actor) {
+  const taken = recordWaste(it, qty, reason, actor);
+  writeDbSync(db);
+  logAudit(actor, "waste", `${it.id}|${taken}|${reason}`);
+  const cost = itemUnitCost(it);
+  let msg = `🗑 Waste recorded: -${taken} ${it.unit} ${it.name} (${reason})${cost ? ` — ${fmtMoney(taken * cost)}` : ""}. Now ${it.stock} ${it.unit}`;
+  if (taken < qty) msg += `\n${E.warn} Only ${taken} ${it.unit} was on record — please check the actual stock.`;
+  return msg;
+}
+
+bot.command("waste", async (ctx) => {
+  const uid = String(ctx.from.id);
+  if (!can(uid, "inventory.use")) return ctx.reply(noPerm("inventory.use"));
+  const parts = ctx.message.text.split(" ").slice(1).filter(Boolean);
+  if (!parts.length) {
+    setSession(uid, { action: "waste", step: 1, temp: {} });
+    return ctx.reply("Record Waste — Step 1/3: Enter item id or name:");
+  }
+  const reason = (parts[parts.length - 1] || "").toLowerCase();
+  const parsed = WASTE_REASONS.includes(reason) ? parseItemQty(parts.slice(0, -1).join(" ")) : null;
+  if (!parsed) return ctx.reply(`Usage: /waste <item> <qty> <reason>\nReasons: ${WASTE_REASONS.join(", ")}`);
+  const it = findInventoryItemFlexible(parsed.key);
+  if (!it) return ctx.reply("Item not found. Tip: use /inventory to see IDs & names.");
+  ctx.reply(wasteReply(it, parsed.qty, reason, uid));
+});
+
+bot.command("wastereport", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.reports")) return ctx.reply(noPerm("inventory.reports"));
+  const days = Number(ctx.message.text.split(" ")[1] || 7);
+  if (isNaN(days) || days <= 0) return ctx.reply("Usage: /wastereport [days]");
+  reloadDb();
+  const to = dayjs();
+  ctx.reply(wasteSummaryText(`Waste — last ${days} day(s)`, getWasteSummary(to.subtract(days, "day"), to)));
+});
+
+// batch tracking for perishables
+bot.command("batches", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.manage")) return ctx.reply(noPerm("inventory.manage"));
+  const parts = ctx.message.text.split(" ").slice(1);
+  if (!parts.length) return ctx.reply("Usage: /batches <item> [on [shelf-life days]|off]");
+  let mode = null;
+  let shelfLife = null;
+  const lastTwo = parts.slice(-2).map(x => x.toLowerCase());
+  if (lastTwo[0] === "on" && /^\d+$/.test(lastTwo[1] || "")) {
+    mode = "on";
+    shelfLife = Number(parts.pop());
+    parts.pop();
+  } else if (["on", "off"].includes(lastTwo[lastTwo.length - 1]) && parts.length > 1) {
+    mode = parts.pop().toLowerCase();
+  }
+  const it = findInventoryItemFlexible(parts.join(" "));
+  if (!it) return ctx.reply("Item not found. Tip: use /inventory to see IDs & names.");
+  if (mode === "on") {
+    if (!it.trackBatches) {
+      it.trackBatches = true;
+      // stock already on hand becomes one undated batch
+      it.batches = it.stock > 0
+        ? [{ id: `b${Date.now()}`, qty: it.stock, expiry: null, receivedAt: dayjs().toISOString() }]
+        : [];
+    }
+    if (shelfLife) it.shelfLifeDays = shelfLife;
+    writeDbSync(db);
+    logAudit(ctx.from.id, "batches_on", `${it.id}|${shelfLife || ""}`);
+    return ctx.reply(
+      `${E.package} ${it.name}: batch tracking on${it.shelfLifeDays ? `, shelf life ${it.shelfLifeDays} day(s)` : ""}. ` +
+        `Purchases will ask for an expiry date.`
+    );
+  }
+  if (mode === "off") {
+    it.trackBatches = false;
+    delete it.batches;
+    writeDbSync(db);
+    logAudit(ctx.from.id, "batches_off", it.id);
+    return ctx.reply(`${E.package} ${it.name}: batch tracking off.`);
+  }
+  if (!it.trackBatches) return ctx.reply(`${it.name} is not tracked by batch. Turn on with /batches ${it.id} on [days]`);
+  const today = dayjs().tz("Asia/Kolkata").format("YYYY-MM-DD");
+  const lines = fefoOrder(it.batches || []).map(b => {
+    const flag = !b.expiry ? "" : b.expiry <= today ? " ❌ expired" : "";
+    return `• ${b.qty} ${it.unit} — expires ${b.expiry || "n/a"}${flag} (in ${dayjs(b.receivedAt).tz("Asia/Kolkata").format("MM-DD")})`;
+  });
+  ctx.reply(`${E.package} ${it.name} batches (first out on top):\n${lines.join("\n") || "none"}`);
+});
+
+// expired write-offs for a month
+bot.command("expired", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.reports")) return ctx.reply(noPerm("inventory.reports"));
+  const month = ctx.message.text.split(" ")[1] || dayjs().tz("Asia/Kolkata").format("YYYY-MM");
+  if (!/^\d{4}-\d{2}$/.test(month)) return ctx.reply("Usage: /expired [YYYY-MM]");
+  reloadDb();
+  const rows = db.stockLedger.filter(
+    m => m.type === "wastage" && m.reason === "expired" && dayjs(m.when).tz("Asia/Kolkata").format("YYYY-MM") === month
+  );
+  if (!rows.length) return ctx.reply(`No expired write-offs in ${month}.`);
+  let total = 0;
+  const lines = rows.map(m => {
+    const it = db.inventory.find(i => i.id === m.itemId) || { name: m.itemId, unit: "" };
+    const value = m.unitCost ? -m.qty * m.unitCost : null;
+    if (value) total += value;
+    return `• ${dayjs(m.when).tz("Asia/Kolkata").format("MM-DD")} ${it.name}: ${-m.qty} ${it.unit}${value ? ` (${fmtMoney(value)})` : ""}`;
+  });
+  ctx.reply(`🗑 Expired write-offs — ${month}\n${lines.join("\n")}\n\nValue lost: ${fmtMoney(total)}`);
+});
+
+bot.command("spend", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.reports")) return ctx.reply(noPerm("inventory.reports"));
+  const arg = ctx.message.text.split(" ")[1];
+  const month = arg || dayjs().tz("Asia/Kolkata").format("YYYY-MM");
+  if (!/^\d{4}-\d{2}$/.test(month)) return ctx.reply("Usage: /spend [YYYY-MM]");
+  reloadDb();
+  const { total, byItem, bySupplier, uncosted } = getMonthlySpend(month);
+  if (!total) {
+    return ctx.reply(
+      `No costed purchases in ${month}.` + (uncosted ? ` (${uncosted} purchase(s) had no cost entered.)` : "")
+    );
+  }
+  const itemLines = Object.entries(byItem)
+    .sort((a, b) => b[1].amount - a[1].amount)
+    .map(([id, v]) => {
+      const it = db.inventory.find(i => i.id === id) || { name: id, unit: "" };
+      return `• ${it.name}: ${fmtMoney(v.amount)} (${round2(v.qty)} ${it.unit}, avg ${fmtMoney(v.amount / v.qty)})`;
+    });
+  const supplierLines = Object.entries(bySupplier)
+    .sort((a, b) => b[1] - a[1])
+    .map(([id, amount]) => {
+      const sp = db.suppliers.find(x => x.id === id);
+      return `• ${sp ? sp.name : id === "_none" ? "No supplier" : id}: ${fmtMoney(amount)}`;
+    });
+  const monthStart = dayjs.tz(`${month}-01`, "Asia/Kolkata");
+  const waste = getWasteSummary(monthStart, monthStart.add(1, "month"));
+  ctx.reply(
+    `${E.money} Spend for ${month}: ${fmtMoney(total)}\n\n` +
+      `By item:\n${itemLines.join("\n")}\n\n` +
+      `By supplier:\n${supplierLines.join("\n")}` +
+      (waste.totalValue ? `\n\n🗑 Wasted this month (separate from spend): ${fmtMoney(waste.totalValue)}` : "") +
+      (uncosted ? `\n\n${E.warn} ${uncosted} purchase(s) without a cost are not included.` : "")
+  );
+});
+
+// stock-take: /stocktake starts a count, /stocktake weekly <day> <HH:mm> schedules it
+bot.command("stocktake", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.manage")) return ctx.reply(noPerm("inventory.manage"));
+  const parts = ctx.message.text.split(" ").slice(1).map(x => x.toLowerCase());
+  reloadDb();
+  if (parts[0] === "weekly") {
+    const idx = db.schedules.findIndex(x => x.id === "stocktake");
+    if (parts[1] === "off") {
+      if (idx === -1) return ctx.reply("No weekly stock-take scheduled.");
+      db.schedules.splice(idx, 1);
+      writeDbSync(db);
+      logAudit(ctx.from.id, "stocktake_schedule", "off");
+      return ctx.reply("Weekly stock-take reminder removed.");
+    }
+    const day = WEEKDAYS.indexOf((parts[1] || "").slice(0, 3));
+    const time = parts[2] || "";
+    if (day === -1 || !/^\d{1,2}:\d{2}$/.test(time)) {
+      return ctx.reply("Usage: /stocktake weekly <mon..sun> <HH:mm>  or  /stocktake weekly off");
+    }
+    const sched = {
+      id: "stocktake",
+      label: "Weekly Stock-take",
+      kind: "stocktake",
+      rule: { type: "weekly", weekdays: [day] },
+      time: time.padStart(5, "0"),
+      message: "Time for the weekly stock count. Tap below to start."
+    };
+    if (idx === -1) db.schedules.push(sched);
+    else db.schedules[idx] = sched;
+    writeDbSync(db);
+    logAudit(ctx.from.id, "stocktake_schedule", `${WEEKDAYS[day]}|${sched.time}`);
+    return ctx.reply(`${E.calendar} Weekly stock-take reminder: every ${WEEKDAYS[day]} at ${sched.time}.`);
+  }
+  if (!db.inventory.length) return ctx.reply("No inventory items.");
+  const t = startStocktake(String(ctx.from.id));
+  await ctx.reply(stocktakePrompt(t), { parse_mode: "Markdown" });
+});
+
+// suppliers & purchase orders
+bot.command("addsupplier", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.manage")) return ctx.reply(noPerm("inventory.manage"));
+  setSession(ctx.from.id, { action: "addsupplier", step: 1, temp: {} });
+  await ctx.reply("Add Supplier — Step 1/6: Enter supplier name:");
+});
+
+bot.command("suppliers", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.manage")) return ctx.reply(noPerm("inventory.manage"));
+  reloadDb();
+  if (!db.suppliers.length) return ctx.reply("No suppliers yet. Add one with /addsupplier.");
+  const lines = db.suppliers.map(sp => {
+    const items = (sp.items || [])
+      .map(id => (db.inventory.find(i => i.id === id) || { name: id }).name)
+      .join(", ");
+    return (
+      `🏭 ${sp.name} (${sp.id}) — ${supplierContact(sp)}\n` +
+      `   items: ${items || "—"} · lead ${sp.leadTimeDays || 0}d · min order ${sp.minOrder || "—"}`
+    );
   });
   ctx.reply(lines.join("\n"));
 });
 
+bot.command("setreorder", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.manage")) return ctx.reply(noPerm("inventory.manage"));
+  const parsed = parseItemQty(ctx.message.text.split(" ").slice(1).join(" "));
+  if (!parsed) return ctx.reply("Usage: /setreorder <item> <qty>");
+  const it = findInventoryItemFlexible(parsed.key);
+  if (!it) return ctx.reply("Item not found. Tip: use /inventory to see IDs & names.");
+  it.reorderQty = parsed.qty;
+  writeDbSync(db);
+  logAudit(ctx.from.id, "setreorder", `${it.id}|${parsed.qty}`);
+  ctx.reply(`${E.package} Reorder quantity for ${it.name}: ${parsed.qty} ${it.unit}.`);
+});
+
+// /reorder: draft POs from low-stock items, grouped by supplier
+async function replyReorder(ctx, uid) {
+  reloadDb();
+  const { touched, unassigned } = buildReorderPOs(uid);
+  writeDbSync(db);
+  if (touched.length) logAudit(uid, "reorder", touched.map(po => po.id).join(","));
+  if (!touched.length && !unassigned.length) {
+    return ctx.api.sendMessage(uid, `${E.ok} Nothing to reorder — no item is below its warning level (or it is already on an open order).`);
+  }
+  for (const po of touched) {
+    await ctx.api.sendMessage(uid, poText(po), { parse_mode: "Markdown", reply_markup: poKeyboard(po) });
+  }
+  if (unassigned.length) {
+    await ctx.api.sendMessage(
+      uid,
+      `${E.warn} Low but no supplier linked:\n` +
+        unassigned.map(it => `• ${it.name} (${it.id})`).join("\n") +
+        `\n\nAdd them to a supplier with /addsupplier.`
+    );
+  }
+}
+
+bot.command("reorder", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.purchase")) return ctx.reply(noPerm("inventory.purchase"));
+  await replyReorder(ctx, String(ctx.from.id));
+});
+
+bot.command("orders", async (ctx) => {
+  if (!can(ctx.from.id, "inventory.purchase")) return ctx.reply(noPerm("inventory.purchase"));
+  reloadDb();
+  const open = db.purchaseOrders.filter(po => po.status !== "received");
+  if (!open.length) return ctx.reply("No open purchase orders. Use /reorder to draft some.");
+  for (const po of open) {
+    await ctx.reply(poText(po), { parse_mode: "Markdown", reply_markup: poKeyboard(po) });
+  }
+});
+
 // payroll
 bot.command("setsalary", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Not authorized.");
+  if (!can(ctx.from.id, "staff.edit")) return ctx.reply(noPerm("staff.edit"));
   const parts = ctx.message.text.split(" ").slice(1);
   if (parts.length < 3) return ctx.reply("Usage: /setsalary <chat_id> <daily|monthly> <amount> [payday]");
   const id = parts[0];
@@ -540,66 +3224,427 @@ bot.command("setsalary", async (ctx) => {
   ctx.reply(`${E.money} Salary set for ${s.name}: ${s.salaryType} ${s.salaryAmount} ${s.salaryType === "monthly" ? `(payday: ${s.payday})` : ""}`);
 });
 
-bot.command("pay", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Not authorized.");
-  const parts = ctx.message.text.split(" ").slice(1);
-  if (parts.length < 1) return ctx.reply("Usage: /pay <chat_id>");
-  const id = parts[0];
+bot.command("pay", async (ctx) => {
+  if (!can(ctx.from.id, "payroll.pay")) return ctx.reply(noPerm("payroll.pay"));
+  const parts = ctx.message.text.split(" ").slice(1);
+  if (parts.length < 1) return ctx.reply("Usage: /pay <chat_id>");
+  const id = parts[0];
+  reloadDb();
+  const s = db.staff.find(x => String(x.id) === String(id));
+  if (!s) return ctx.reply("Staff not found.");
+  const kb = paymentKeyboard(id);
+  await ctx.reply(`${E.money} Mark payment for ${s.name} (type: ${s.salaryType}, amount: ${s.salaryAmount})`, { reply_markup: kb });
+});
+
+// clockin / clockout / attendance
+bot.command("clockin", async (ctx) => {
+  const uid = String(ctx.from.id);
+  const staff = getStaff(uid) || upsertStaff(uid, ctx.from.first_name || "Staff");
+  const today = dayjs().tz(staff.tz || "Asia/Kolkata").format("YYYY-MM-DD");
+  staff.attendance = staff.attendance || {};
+  staff.attendance[today] = staff.attendance[today] || { in: null, out: null, status: null };
+  if (staff.attendance[today].in) return ctx.reply("You already clocked in today.");
+  staff.attendance[today].in = dayjs().toISOString();
+  staff.attendance[today].status = "present";
+  writeDbSync(db);
+  logAudit(uid, "clockin", today);
+  const m = dayMetrics(staff, today);
+  const seg = expectedSegments(staff, today)[0];
+  const expectedText = `${m.shift ? `${m.shift} shift` : "start"} ${seg.start.tz(staff.tz || "Asia/Kolkata").format("HH:mm")}`;
+  ctx.reply(
+    `${E.clock} Clocked in at ${dayjs().tz(staff.tz || "Asia/Kolkata").format("HH:mm")} (${expectedText})` +
+    (m.lateMin ? `\n${E.warn} ${fmtMinutes(m.lateMin)} late.` : "")
+  );
+});
+
+bot.command("clockout", async (ctx) => {
+  const uid = String(ctx.from.id);
+  const staff = getStaff(uid);
+  if (!staff) return ctx.reply("Not registered. Ask admin to add you.");
+  const now = dayjs().tz(staff.tz || "Asia/Kolkata");
+  staff.attendance = staff.attendance || {};
+  // a shift that ran past midnight is still open on yesterday's record
+  const yesterday = now.subtract(1, "day").format("YYYY-MM-DD");
+  const yRec = staff.attendance[yesterday];
+  const today = yRec && yRec.in && !yRec.out && !(staff.attendance[now.format("YYYY-MM-DD")] || {}).in
+    ? yesterday
+    : now.format("YYYY-MM-DD");
+  staff.attendance[today] = staff.attendance[today] || { in: null, out: null, status: null };
+  if (!staff.attendance[today].in) return ctx.reply("You didn't clock in today.");
+  if (staff.attendance[today].out) return ctx.reply("You already clocked out.");
+  staff.attendance[today].out = dayjs().toISOString();
+  writeDbSync(db);
+  logAudit(uid, "clockout", today);
+  const m = dayMetrics(staff, today);
+  ctx.reply(`${E.clock} Clocked out at ${now.format("HH:mm")} — ${metricsText(m)}`);
+});
+
+bot.command("attendance", async (ctx) => {
+  if (!can(ctx.from.id, "staff.view")) return ctx.reply(noPerm("staff.view"));
+  const parts = ctx.message.text.split(" ").slice(1);
+  if (parts.length < 1) return ctx.reply("Usage: /attendance <chat_id> [YYYY-MM]");
+  const id = parts[0];
+  const month = parts[1] || dayjs().format("YYYY-MM");
+  reloadDb();
+  const s = db.staff.find(x => String(x.id) === String(id));
+  if (!s) return ctx.reply("Staff not found.");
+  const days = Object.keys(s.attendance || {}).filter(d => d.startsWith(month));
+  if (!days.length) return ctx.reply("No records for that month.");
+  const lines = days.map(d => {
+    const rec = s.attendance[d];
+    const inT = rec.in ? dayjs(rec.in).tz(s.tz).format("HH:mm") : "-";
+    const outT = rec.out ? dayjs(rec.out).tz(s.tz).format("HH:mm") : "-";
+    const status = rec.status || "-";
+    const m = dayMetrics(s, d);
+    const extra = m ? metricsText(m) : "";
+    return `${d}: in ${inT} out ${outT} status ${status}${extra ? ` — ${extra}` : ""}`;
+  });
+  const totals = days.map(d => dayMetrics(s, d)).filter(Boolean);
+  const sum = k => totals.reduce((a, m) => a + (m[k] || 0), 0);
+  ctx.reply(
+    `${E.calendar} Attendance for ${s.name} (${month}):\n` + lines.join("\n") +
+    `\n\nWorked ${fmtMinutes(sum("worked"))} · late ${totals.filter(m => m.lateMin).length}x · ` +
+    `early ${totals.filter(m => m.earlyMin).length}x · overtime ${fmtMinutes(sum("overtimeMin"))}`
+  );
+});
+
+// flagged attendance days (missed punches, auto clock-outs)
+bot.command("review", async (ctx) => {
+  if (!can(ctx.from.id, "attendance.mark")) return ctx.reply(noPerm("attendance.mark"));
+  reloadDb();
+  const items = flaggedDays();
+  if (!items.length) return ctx.reply(`${E.ok} Nothing to review.`);
+  for (const it of items.slice(0, 15)) {
+    await ctx.reply(reviewItemText(it), { reply_markup: reviewKeyboard(it.staff.id, it.date) });
+  }
+  if (items.length > 15) await ctx.reply(`…and ${items.length - 15} more. Clear these first, then /review again.`);
+});
+
+// payroll runs: /payroll [YYYY-MM]
+bot.command("payroll", async (ctx) => {
+  if (!can(ctx.from.id, "payroll.view")) return ctx.reply(noPerm("payroll.view"));
+  const period = ctx.message.text.split(" ")[1] || dayjs().tz("Asia/Kolkata").format("YYYY-MM");
+  if (!/^\d{4}-\d{2}$/.test(period)) return ctx.reply("Usage: /payroll [YYYY-MM]");
+  reloadDb();
+  const view = payrollView(period);
+  await ctx.reply(view.text, { reply_markup: view.kb });
+});
+
+// /deduct <chat_id> <amount> <reason> — deduction on this month's payroll
+bot.command("deduct", async (ctx) => {
+  if (!can(ctx.from.id, "payroll.pay")) return ctx.reply(noPerm("payroll.pay"));
+  const parts = ctx.message.text.split(" ").slice(1);
+  const amount = Number(parts[1]);
+  const reason = parts.slice(2).join(" ");
+  if (parts.length < 3 || isNaN(amount) || amount <= 0) {
+    return ctx.reply("Usage: /deduct <chat_id> <amount> <reason>");
+  }
+  reloadDb();
+  const s = db.staff.find(x => String(x.id) === String(parts[0]));
+  if (!s) return ctx.reply("Staff not found.");
+  const period = dayjs().tz(s.tz || "Asia/Kolkata").format("YYYY-MM");
+  const d = {
+    id: `d${Date.now()}`,
+    staffId: String(s.id),
+    period,
+    amount,
+    reason,
+    createdBy: String(ctx.from.id),
+    when: dayjs().toISOString()
+  };
+  db.deductions.push(d);
+  writeDbSync(db);
+  logAudit(ctx.from.id, "deduction", `${d.id}|${s.id}|${period}|${amount}|${reason}`);
+  await ctx.reply(`${E.ok} Deduction of ${fmtMoney(amount)} (${reason}) added to ${s.name}'s ${period} payroll.`);
+});
+
+// /advance <chat_id> <amount> <lump|N> <reason> — cash advance / loan, recovered via payroll
+bot.command("advance", async (ctx) => {
+  if (!can(ctx.from.id, "payroll.pay")) return ctx.reply(noPerm("payroll.pay"));
+  const parts = ctx.message.text.split(" ").slice(1);
+  const amount = Number(parts[1]);
+  const plan = (parts[2] || "").toLowerCase();
+  const n = plan === "lump" ? 1 : Number(plan);
+  const reason = parts.slice(3).join(" ");
+  if (parts.length < 4 || isNaN(amount) || amount <= 0 || !Number.isInteger(n) || n < 1 || n > 24) {
+    return ctx.reply("Usage: /advance <chat_id> <amount> <lump|installments 1-24> <reason>");
+  }
+  reloadDb();
+  const s = db.staff.find(x => String(x.id) === String(parts[0]));
+  if (!s) return ctx.reply("Staff not found.");
+  const now = dayjs().tz(s.tz || "Asia/Kolkata");
+  const adv = {
+    id: `adv${Date.now()}`,
+    staffId: String(s.id),
+    amount,
+    date: now.format("YYYY-MM-DD"),
+    reason,
+    plan: n === 1 ? "lump" : "installments",
+    installments: n,
+    installment: round2(Math.ceil((amount / n) * 100) / 100),
+    startPeriod: now.format("YYYY-MM"),
+    createdBy: String(ctx.from.id)
+  };
+  db.advances.push(adv);
+  writeDbSync(db);
+  logAudit(ctx.from.id, "advance", `${adv.id}|${s.id}|${amount}|${n}|${reason}`);
+  const total = staffAdvances(s.id).reduce((a, x) => a + advanceOutstanding(x), 0);
+  await ctx.reply(
+    `${E.money} Advance of ${fmtMoney(amount)} to ${s.name} recorded (${reason}).\n` +
+    (n === 1
+      ? `Recovered in full from the ${adv.startPeriod} payroll.`
+      : `${n} installments of ${fmtMoney(adv.installment)} from the ${adv.startPeriod} payroll.`) +
+    `\nOutstanding advances for ${s.name}: ${fmtMoney(total)}`
+  );
+});
+
+bot.command("advances", async (ctx) => {
+  if (!can(ctx.from.id, "payroll.view")) return ctx.reply(noPerm("payroll.view"));
+  reloadDb();
+  let period = dayjs().tz("Asia/Kolkata").format("YYYY-MM");
+  if (db.payrollRuns.some(r => r.period === period)) {
+    period = dayjs(`${period}-01`).add(1, "month").format("YYYY-MM");
+  }
+  const lines = [];
+  let total = 0;
+  for (const s of db.staff) {
+    const open = staffAdvances(s.id).filter(a => advanceOutstanding(a) > 0);
+    if (!open.length) continue;
+    const out = open.reduce((a, x) => a + advanceOutstanding(x), 0);
+    const due = open.reduce((a, x) => a + advanceDue(x, period), 0);
+    total += out;
+    lines.push(
+      `${s.name}: ${fmtMoney(out)} outstanding · ${fmtMoney(due)} due in ${period}\n` +
+      open.map(a => `   • ${a.date} ${fmtMoney(a.amount)} — ${a.reason} (${a.plan === "lump" ? "lump sum" : `${a.installments}× ${fmtMoney(a.installment)}`})`).join("\n")
+    );
+  }
+  if (!lines.length) return ctx.reply("No outstanding advances.");
+  await ctx.reply(`${E.money} Outstanding advances\n\n${lines.join("\n")}\n\nTotal: ${fmtMoney(total)}`);
+});
+
+// /payrollrules [weeklyoff <days|none> [chat_id] | offpaid <on|off> | otrate <x>]
+bot.command("payrollrules", async (ctx) => {
+  if (!can(ctx.from.id, "payroll.view")) return ctx.reply(noPerm("payroll.view"));
+  const parts = ctx.message.text.split(" ").slice(1).map(x => x.toLowerCase());
+  reloadDb();
+  const rules = payrollRules();
+  if (!parts.length) {
+    return ctx.reply(
+      `Payroll rules\nWeekly off (no roster): ${rules.weeklyOff.join(", ") || "none"}\n` +
+      `Weekly off paid (monthly pay): ${rules.weeklyOffPaid ? "yes" : "no"}\nOvertime rate: ${rules.overtimeRate}x\n\n` +
+      "Usage: /payrollrules weeklyoff <sun,mon|none> [chat_id] | offpaid <on|off> | otrate <x>"
+    );
+  }
+  if (!can(ctx.from.id, "payroll.pay")) return ctx.reply(noPerm("payroll.pay"));
+  const [key, val, target] = parts;
+  if (key === "weeklyoff" && val) {
+    const days = val === "none" ? [] : val.split(",");
+    if (!days.every(d => WEEKDAYS.includes(d))) return ctx.reply(`Days: ${WEEKDAYS.join(", ")} (comma separated) or none`);
+    if (target) {
+      const s = db.staff.find(x => String(x.id) === target);
+      if (!s) return ctx.reply("Staff not found.");
+      s.weeklyOff = days;
+    } else {
+      db.settings.payroll = { ...rules, weeklyOff: days };
+    }
+  } else if (key === "offpaid" && ["on", "off"].includes(val)) {
+    db.settings.payroll = { ...rules, weeklyOffPaid: val === "on" };
+  } else if (key === "otrate" && Number(val) > 0) {
+    db.settings.payroll = { ...rules, overtimeRate: Number(val) };
+  } else {
+    return ctx.reply("Usage: /payrollrules weeklyoff <sun,mon|none> [chat_id] | offpaid <on|off> | otrate <x>");
+  }
+  writeDbSync(db);
+  logAudit(ctx.from.id, "payroll_rules", parts.join("|"));
+  await ctx.reply(`${E.ok} Payroll rules updated.`);
+});
+
+// self-service: own attendance & pay only
+bot.command("me", async (ctx) => {
+  const staff = getStaff(ctx.from.id);
+  if (!staff) return ctx.reply("Not registered. Ask admin to add you.");
+  const view = myProfileView(staff);
+  await ctx.reply(view.text, { parse_mode: "Markdown", reply_markup: view.kb });
+});
+
+// leave requests: /leave <from> <to> <reason>, approved by leave.approve
+bot.command("leave", async (ctx) => {
+  const uid = String(ctx.from.id);
+  const staff = getStaff(uid);
+  if (!staff) return ctx.reply("Not registered. Ask admin to add you.");
+  const parts = ctx.message.text.split(" ").slice(1).filter(Boolean);
+  if (!parts.length) {
+    const bal = leaveBalance(staff);
+    const mine = db.leaveRequests.filter(lr => String(lr.staffId) === uid).slice(-5);
+    const lines = mine.map(lr => `• ${lr.from} → ${lr.to} — ${lr.status}${lr.reason ? ` (${lr.reason})` : ""}`);
+    return ctx.reply(
+      `🌴 Paid leave left this ${bal.per}: ${bal.remaining} of ${bal.paidDays}\n\n` +
+      (lines.length ? `Recent requests:\n${lines.join("\n")}\n\n` : "") +
+      "Usage: /leave <from YYYY-MM-DD> <to YYYY-MM-DD> <reason>"
+    );
+  }
+  const [from, to] = parts;
+  const reason = parts.slice(2).join(" ");
+  const valid = d => /^\d{4}-\d{2}-\d{2}$/.test(d || "") && dayjs(d).format("YYYY-MM-DD") === d;
+  if (!valid(from) || !valid(to) || !reason) {
+    return ctx.reply("Usage: /leave <from YYYY-MM-DD> <to YYYY-MM-DD> <reason>");
+  }
+  if (to < from) return ctx.reply("The end date is before the start date.");
+  if (leaveDates(from, to).length > 60) return ctx.reply("That's more than 60 days — please talk to the owner.");
+  const overlap = db.leaveRequests.find(
+    lr => String(lr.staffId) === uid && lr.status !== "rejected" && lr.from <= to && lr.to >= from
+  );
+  if (overlap) return ctx.reply(`You already have a ${overlap.status} request for ${overlap.from} → ${overlap.to}.`);
+  const lr = {
+    id: `lv${Date.now()}`,
+    staffId: uid,
+    from,
+    to,
+    reason,
+    status: "pending",
+    requestedAt: dayjs().toISOString()
+  };
+  db.leaveRequests.push(lr);
+  writeDbSync(db);
+  logAudit(uid, "leave_request", `${lr.id}|${from}|${to}|${reason}`);
+  await sendLeaveToApprovers(lr);
+  const bal = leaveBalance(staff, from);
+  await ctx.reply(
+    `${E.ok} Leave requested for ${from} → ${to}. You'll get a message once it's approved or rejected.\n` +
+    `Paid leave left this ${bal.per}: ${bal.remaining} of ${bal.paidDays} (extra days are unpaid).`
+  );
+});
+
+bot.command("leaves", async (ctx) => {
+  if (!can(ctx.from.id, "leave.approve")) return ctx.reply(noPerm("leave.approve"));
   reloadDb();
-  const s = db.staff.find(x => String(x.id) === String(id));
-  if (!s) return ctx.reply("Staff not found.");
-  const kb = paymentKeyboard(id);
-  await ctx.reply(`${E.money} Mark payment for ${s.name} (type: ${s.salaryType}, amount: ${s.salaryAmount})`, { reply_markup: kb });
+  const pending = db.leaveRequests.filter(
+    lr => lr.status === "pending" && String(lr.staffId) !== String(ctx.from.id)
+  );
+  if (!pending.length) return ctx.reply("No pending leave requests.");
+  for (const lr of pending) {
+    await ctx.reply(leaveRequestText(lr), { reply_markup: leaveKeyboard(lr.id) });
+  }
 });
 
-// clockin / clockout / attendance
-bot.command("clockin", async (ctx) => {
-  const uid = String(ctx.from.id);
-  const staff = getStaff(uid) || upsertStaff(uid, ctx.from.first_name || "Staff");
-  const today = dayjs().tz(staff.tz || "Asia/Kolkata").format("YYYY-MM-DD");
-  staff.attendance = staff.attendance || {};
-  staff.attendance[today] = staff.attendance[today] || { in: null, out: null, status: null };
-  if (staff.attendance[today].in) return ctx.reply("You already clocked in today.");
-  staff.attendance[today].in = dayjs().toISOString();
+// /leavepolicy <days> <month|year> [chat_id] — default or per-employee allowance
+bot.command("leavepolicy", async (ctx) => {
+  if (!can(ctx.from.id, "staff.edit")) return ctx.reply(noPerm("staff.edit"));
+  const parts = ctx.message.text.split(" ").slice(1);
+  const days = Number(parts[0]);
+  const per = (parts[1] || "").toLowerCase();
+  if (parts.length < 2 || isNaN(days) || days < 0 || !["month", "year"].includes(per)) {
+    const def = db.settings.leave || defaultSettings().leave;
+    return ctx.reply(
+      `Paid leave: ${def.paidDays} day(s) per ${def.per}.\nUsage: /leavepolicy <days> <month|year> [chat_id]`
+    );
+  }
+  reloadDb();
+  if (parts[2]) {
+    const s = db.staff.find(x => String(x.id) === String(parts[2]));
+    if (!s) return ctx.reply("Staff not found.");
+    s.leaveAllowance = { paidDays: days, per };
+    writeDbSync(db);
+    logAudit(ctx.from.id, "leave_policy", `${s.id}|${days}|${per}`);
+    return ctx.reply(`${E.ok} ${s.name}: ${days} paid leave day(s) per ${per}.`);
+  }
+  db.settings.leave = { paidDays: days, per };
   writeDbSync(db);
-  logAudit(uid, "clockin", today);
-  ctx.reply(`${E.clock} Clocked in at ${dayjs().tz(staff.tz || "Asia/Kolkata").format("HH:mm")}`);
+  logAudit(ctx.from.id, "leave_policy", `default|${days}|${per}`);
+  await ctx.reply(`${E.ok} Default paid leave: ${days} day(s) per ${per}.`);
 });
 
-bot.command("clockout", async (ctx) => {
-  const uid = String(ctx.from.id);
-  const staff = getStaff(uid);
-  if (!staff) return ctx.reply("Not registered. Ask admin to add you.");
-  const today = dayjs().tz(staff.tz || "Asia/Kolkata").format("YYYY-MM-DD");
-  staff.attendance = staff.attendance || {};
-  staff.attendance[today] = staff.attendance[today] || { in: null, out: null, status: null };
-  if (!staff.attendance[today].in) return ctx.reply("You didn't clock in today.");
-  if (staff.attendance[today].out) return ctx.reply("You already clocked out.");
-  staff.attendance[today].out = dayjs().toISOString();
+// shifts: /shift lists, /shift <id> <HH:mm-HH:mm>[,HH:mm-HH:mm] defines, /shift <id> remove
+bot.command("shift", async (ctx) => {
+  const parts = ctx.message.text.split(" ").slice(1).filter(Boolean);
+  reloadDb();
+  if (!baseRoleOf(ctx.from.id)) return ctx.reply("Not registered. Ask admin to add you.");
+  if (!parts.length) {
+    const lines = Object.keys(getShifts()).map(id => `• ${shiftText(id)}`);
+    return ctx.reply(
+      `🗓 Shifts\n${lines.join("\n") || "none"}\n\nUsage: /shift <id> <HH:mm-HH:mm>[,HH:mm-HH:mm]\nOr: /shift <id> remove`
+    );
+  }
+  if (!can(ctx.from.id, "roster.manage")) return ctx.reply(noPerm("roster.manage"));
+  const id = parts[0].toLowerCase();
+  if (!/^[a-z0-9_]{1,16}$/.test(id)) return ctx.reply("Shift id: letters, digits or _ (max 16).");
+  const shifts = { ...getShifts() };
+  if ((parts[1] || "").toLowerCase() === "remove") {
+    if (!shifts[id]) return ctx.reply("No such shift.");
+    delete shifts[id];
+    db.settings.shifts = shifts;
+    writeDbSync(db);
+    logAudit(ctx.from.id, "shift_remove", id);
+    return ctx.reply(`${E.ok} Shift ${id} removed. Roster days using it now count as off.`);
+  }
+  const segs = (parts[1] || "").split(",").map(x => x.split("-"));
+  const hhmm = t => /^([01]\d|2[0-3]):[0-5]\d$/.test(t || "");
+  if (!segs.length || segs.length > 2 || !segs.every(sg => sg.length === 2 && hhmm(sg[0]) && hhmm(sg[1]))) {
+    return ctx.reply("Usage: /shift <id> <HH:mm-HH:mm>[,HH:mm-HH:mm]  e.g. /shift split 10:00-14:00,18:00-22:00");
+  }
+  shifts[id] = { segments: segs };
+  db.settings.shifts = shifts;
   writeDbSync(db);
-  logAudit(uid, "clockout", today);
-  ctx.reply(`${E.clock} Clocked out at ${dayjs().tz(staff.tz || "Asia/Kolkata").format("HH:mm")}`);
+  logAudit(ctx.from.id, "shift_set", `${id}|${parts[1]}`);
+  await ctx.reply(`${E.ok} Shift saved: ${shiftText(id)}`);
 });
 
-bot.command("attendance", async (ctx) => {
-  if (!isAdmin(ctx.from.id)) return ctx.reply("Not authorized.");
-  const parts = ctx.message.text.split(" ").slice(1);
-  if (parts.length < 1) return ctx.reply("Usage: /attendance <chat_id> [YYYY-MM]");
-  const id = parts[0];
-  const month = parts[1] || dayjs().format("YYYY-MM");
+bot.command("roster", async (ctx) => {
+  const uid = String(ctx.from.id);
   reloadDb();
-  const s = db.staff.find(x => String(x.id) === String(id));
-  if (!s) return ctx.reply("Staff not found.");
-  const days = Object.keys(s.attendance || {}).filter(d => d.startsWith(month));
-  if (!days.length) return ctx.reply("No records for that month.");
-  const lines = days.map(d => {
-    const rec = s.attendance[d];
-    const inT = rec.in ? dayjs(rec.in).tz(s.tz).format("HH:mm") : "-";
-    const outT = rec.out ? dayjs(rec.out).tz(s.tz).format("HH:mm") : "-";
-    const status = rec.status || "-";
-    return `${d}: in ${inT} out ${outT} status ${status}`;
-  });
-  ctx.reply(`${E.calendar} Attendance for ${s.name} (${month}):\n` + lines.join("\n"));
+  if (!baseRoleOf(uid)) return ctx.reply("Not registered. Ask admin to add you.");
+  const arg = (ctx.message.text.split(" ")[1] || "").toLowerCase();
+  let date = dayjs().tz("Asia/Kolkata").format("YYYY-MM-DD");
+  if (arg === "next") date = dayjs(date).add(7, "day").format("YYYY-MM-DD");
+  else if (/^\d{4}-\d{2}-\d{2}$/.test(arg)) date = arg;
+  else if (arg) return ctx.reply("Usage: /roster [next|YYYY-MM-DD]");
+  await ctx.reply(rosterText(date));
+});
+
+// /swap <YYYY-MM-DD> <colleague chat_id> [reason] — exchange shifts for a day
+bot.command("swap", async (ctx) => {
+  const uid = String(ctx.from.id);
+  const me = getStaff(uid);
+  if (!me) return ctx.reply("Not registered. Ask admin to add you.");
+  const parts = ctx.message.text.split(" ").slice(1).filter(Boolean);
+  const [date, otherId] = parts;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || "") || !otherId) {
+    return ctx.reply("Usage: /swap <YYYY-MM-DD> <colleague chat_id> [reason]");
+  }
+  if (date < dayjs().tz("Asia/Kolkata").format("YYYY-MM-DD")) return ctx.reply("That date is in the past.");
+  const other = db.staff.find(x => String(x.id) === String(otherId));
+  if (!other || String(other.id) === uid) return ctx.reply("Colleague not found.");
+  const sw = {
+    id: `sw${Date.now()}`,
+    date,
+    fromId: uid,
+    toId: String(other.id),
+    fromShift: shiftFor(me, date),
+    toShift: shiftFor(other, date),
+    reason: parts.slice(2).join(" "),
+    status: "pending",
+    requestedAt: dayjs().toISOString()
+  };
+  if (sw.fromShift === sw.toShift) return ctx.reply(`You and ${other.name} have the same shift that day — nothing to swap.`);
+  db.shiftSwaps.push(sw);
+  writeDbSync(db);
+  logAudit(uid, "swap_request", `${sw.id}|${date}|${other.id}`);
+  const kb = new InlineKeyboard()
+    .text(`${E.ok} Approve`, `swap:ok:${sw.id}`)
+    .text(`${E.cancel} Reject`, `swap:no:${sw.id}`);
+  for (const id of usersWithPermission("roster.manage").filter(id => id !== uid)) {
+    try {
+      await bot.api.sendMessage(id, swapText(sw), { reply_markup: kb });
+    } catch (e) {
+      console.error("swap notify err", e.message);
+    }
+  }
+  try {
+    await bot.api.sendMessage(String(other.id), `${me.name} asked to swap shifts with you:\n${swapText(sw)}\nA manager will approve or reject it.`);
+  } catch (e) {
+    console.error("swap notify err", e.message);
+  }
+  await ctx.reply(`${E.ok} Swap requested — waiting for manager approval.\n${swapText(sw)}`);
 });
 
 // reminders
@@ -608,23 +3653,156 @@ bot.command("addreminder", async (ctx) => {
   await ctx.reply("Add Reminder — Step 1/4\nWho to remind? Reply: `me`, `all`, or a chat_id.");
 });
 
+// /remind <me|all|name|chat_id> <when, in words> <text>
+bot.command("remind", async (ctx) => {
+  const rest = ctx.message.text.split(" ").slice(1);
+  const usage =
+    "Usage: /remind <me|all|name> <when> <what>\n" +
+    "e.g. /remind me tomorrow 9am call gas supplier\n" +
+    "/remind all every monday 10:00 deep clean fridge\n" +
+    "/remind all weekdays 8am open shutters\n" +
+    "/remind Ravi in 2 hours check oil · /remind me kal subah 9 baje bank";
+  if (rest.length < 2) return ctx.reply(usage);
+  reloadDb();
+  const target = resolveReminderTarget(rest[0], ctx.from.id);
+  if (!target) return ctx.reply(`Don't know who "${rest[0]}" is.\n\n${usage}`);
+  if (target !== String(ctx.from.id) && !can(ctx.from.id, "reminders.broadcast")) {
+    return ctx.reply(`${noPerm("reminders.broadcast")} Use /remind me … to remind yourself.`);
+  }
+  const parsed = parseReminderPhrase(rest.slice(1).join(" "));
+  if (!parsed) return ctx.reply(`Couldn't work out when (or what).\n\n${usage}`);
+  const draft = { target, text: parsed.text, when: parsed.when.toISOString(), rule: parsed.rule };
+  setSession(ctx.from.id, { action: "remind_confirm", step: 1, temp: draft });
+  const card = reminderDraftCard(draft);
+  await ctx.reply(card.text, { reply_markup: card.kb });
+});
+
 bot.command("myreminders", async (ctx) => {
   reloadDb();
-  const mine = db.reminders.filter(
-    r =>
-      r.target === String(ctx.from.id) ||
-      r.target === "all" ||
-      r.createdBy === String(ctx.from.id)
-  );
-  if (!mine.length) return ctx.reply("No reminders.");
-  const lines = mine.map(r =>
-    `${E.calendar} [${r.id}] To: ${r.target} — ${r.text} — ${dayjs(r.when)
-      .tz("Asia/Kolkata")
-      .format("YYYY-MM-DD HH:mm")} — ${r.repeat || "once"}`
-  );
+  const v = reminderListView(ctx.from.id);
+  await ctx.reply(v.text, { reply_markup: v.kb });
+});
+
+bot.command("remhistory", async (ctx) => {
+  reloadDb();
+  await ctx.reply(reminderHistoryView(ctx.from.id).text);
+});
+
+// /schedules lists them; /schedule <id> <HH:mm> <recurrence> changes one
+bot.command("schedules", async (ctx) => {
+  if (!can(ctx.from.id, "reminders.broadcast")) return ctx.reply(noPerm("reminders.broadcast"));
+  reloadDb();
+  if (!db.schedules.length) return ctx.reply("No schedules.");
+  const lines = db.schedules.map(s => {
+    const { rule, time, due: first } = scheduleNext(s, db.lastSent[`${s.id}__${ctx.from.id}`], REMINDER_TZ);
+    const sent = (s.occurrences || 0) - (first && s.lastOccurrence === first.toISOString() ? 1 : 0);
+    const next = first ? upcomingOccurrences(rule, first, sent, 3, REMINDER_TZ, time) : [];
+    const conf = scheduleConfirm(s);
+    return (
+      `${E.calendar} [${s.id}] ${s.label} — ${time}, ${recurrenceText(rule)}\n` +
+      `   Next: ${next.length ? next.map(t => t.format("ddd DD MMM HH:mm")).join(" · ") : "—"}` +
+      (conf
+        ? `\n   ${E.ok} Needs confirmation from ${confirmWhoText(conf.assignee)} · follow-up ${conf.followupMinutes1}/${conf.followupMinutes2} min · escalate to ${confirmWhoText(conf.escalateTo)}`
+        : "")
+    );
+  });
   ctx.reply(lines.join("\n"));
 });
 
+// an unknown id creates the schedule; text after "|" becomes its message
+bot.command("schedule", async (ctx) => {
+  if (!can(ctx.from.id, "reminders.broadcast")) return ctx.reply(noPerm("reminders.broadcast"));
+  const [head, ...msg] = ctx.message.text.split("|");
+  const parts = head.trim().split(/\s+/).slice(1);
+  reloadDb();
+  if (parts[1] === "off") {
+    const idx = db.schedules.findIndex(x => x.id === parts[0]);
+    if (idx === -1) return ctx.reply("Schedule not found. See /schedules.");
+    const removed = db.schedules.splice(idx, 1)[0];
+    writeDbSync(db);
+    logAudit(ctx.from.id, "schedule_removed", JSON.stringify(removed));
+    return ctx.reply(`${removed.label} removed.`);
+  }
+  const time = parts[1] || "";
+  const rule = parseRecurrence(parts.slice(2).join(" "));
+  if (!/^[a-z0-9_-]{1,24}$/i.test(parts[0] || "") || !/^\d{1,2}:\d{2}$/.test(time) || !rule || rule.type === "once") {
+    return ctx.reply(
+      "Usage: /schedule <id> <HH:mm> <daily | weekdays | every 3 days | weekly mon,thu | monthly 15 | monthly last> [until YYYY-MM-DD] [N times] [| message]\n" +
+        "/schedule <id> off — remove it"
+    );
+  }
+  let s = db.schedules.find(x => x.id === parts[0]);
+  if (!s) {
+    const label = parts[0].replace(/[_-]+/g, " ").replace(/^./, c => c.toUpperCase());
+    s = { id: parts[0], label, message: label };
+    db.schedules.push(s);
+  }
+  if (msg.length && msg.join("|").trim()) s.message = msg.join("|").trim();
+  s.time = time.padStart(5, "0");
+  s.rule = rule;
+  delete s.weekdays;
+  delete s.intervalDays;
+  s.occurrences = 0;
+  delete s.lastOccurrence;
+  writeDbSync(db);
+  logAudit(ctx.from.id, "schedule_rule", `${s.id}|${s.time}|${recurrenceText(rule)}`);
+  ctx.reply(`${E.calendar} ${s.label}: ${s.time}, ${recurrenceText(rule)}.`);
+});
+
+// /checklist — open confirmations; /checklist <id> on [assign=…] [followup=30,60] [escalate=…] | off
+bot.command("checklist", async (ctx) => {
+  if (!can(ctx.from.id, "reminders.broadcast")) return ctx.reply(noPerm("reminders.broadcast"));
+  const parts = ctx.message.text.split(/\s+/).slice(1);
+  reloadDb();
+  if (!parts.length) {
+    const lines = [];
+    for (const [key, recs] of Object.entries(db.pendingConfirmations)) {
+      const [sid, occ] = key.split("|");
+      const sched = db.schedules.find(x => x.id === sid);
+      for (const [pid, rec] of Object.entries(recs)) {
+        if (rec.status === "confirmed") continue;
+        lines.push(`• ${sched ? sched.label : sid} (${occ}) — ${reminderTargetText(pid)}: ${rec.status}`);
+      }
+    }
+    return ctx.reply(lines.length ? `${E.clock} Waiting for confirmation\n\n${lines.join("\n")}` : "Nothing waiting for confirmation.");
+  }
+  const usage =
+    "Usage: /checklist <schedule_id> on [assign=me|all|name|chat_id] [followup=30,60] [escalate=owners|all|name|chat_id]\n" +
+    "/checklist <schedule_id> off";
+  const s = db.schedules.find(x => x.id === parts[0]);
+  if (!s) return ctx.reply("Schedule not found. See /schedules.");
+  if (parts[1] === "off") {
+    if (s.id === "vegetables") return ctx.reply("The veg list is always confirmed.");
+    delete s.confirm;
+    writeDbSync(db);
+    logAudit(ctx.from.id, "checklist_off", s.id);
+    return ctx.reply(`${s.label} no longer needs confirmation.`);
+  }
+  if (parts[1] !== "on") return ctx.reply(usage);
+  const conf = { ...(s.confirm || {}) };
+  for (const opt of parts.slice(2)) {
+    const [k, v = ""] = opt.split("=");
+    if (k === "assign" || k === "escalate") {
+      const who = v.toLowerCase() === "owners" && k === "escalate" ? "owners" : resolveReminderTarget(v, ctx.from.id);
+      if (!who) return ctx.reply(`Don't know who "${v}" is.`);
+      conf[k === "assign" ? "assignee" : "escalateTo"] = who;
+    } else if (k === "followup") {
+      const [a, b] = v.split(",").map(Number);
+      if (!Number.isInteger(a) || a < 1 || !Number.isInteger(b) || b < 1) return ctx.reply(usage);
+      conf.followupMinutes1 = a;
+      conf.followupMinutes2 = b;
+    } else return ctx.reply(usage);
+  }
+  s.confirm = conf;
+  writeDbSync(db);
+  const eff = scheduleConfirm(s);
+  logAudit(ctx.from.id, "checklist_on", `${s.id}|${JSON.stringify(conf)}`);
+  ctx.reply(
+    `${E.ok} ${s.label} now needs confirmation from ${confirmWhoText(eff.assignee)}.\n` +
+      `Follow-ups after ${eff.followupMinutes1} / ${eff.followupMinutes2} min, then escalate to ${confirmWhoText(eff.escalateTo)}.`
+  );
+});
+
 // MAIN CALLBACK HANDLER
 bot.on("callback_query:data", async (ctx) => {
   try {
@@ -638,13 +3816,17 @@ bot.on("callback_query:data", async (ctx) => {
       if (section === "employees") {
         reloadDb();
         const kb = new InlineKeyboard();
-        if (db.staff.length) {
-          db.staff.forEach(s => {
-            const statusTag = s.onHold ? " (On hold)" : "";
-            kb.text(`${s.name} (${s.role})${statusTag}`, `emp:view:${s.id}`).row();
-          });
-        }
-        kb.text("➕ Add Employee", "emp:add").row();
+        // without staff.view you only see yourself
+        const visible = can(uid, "staff.view")
+          ? db.staff
+          : db.staff.filter(s => String(s.id) === uid);
+        visible.forEach(s => {
+          const statusTag = s.onHold ? " (On hold)" : "";
+          kb.text(`${s.name} (${s.role})${statusTag}`, `emp:view:${s.id}`).row();
+        });
+        if (can(uid, "staff.edit")) kb.text("➕ Add Employee", "emp:add").row();
+        kb.text("🗓 Weekly Roster", "ros:week").row();
+        if (can(uid, "attendance.mark")) kb.text(`🚩 Review (${flaggedDays().length})`, "rev:list").row();
         kb.text("⬅️ Back", "menu:home");
         await ctx.editMessageText("👥 *Employees*\nChoose an employee or add a new one.", {
           parse_mode: "Markdown",
@@ -660,8 +3842,15 @@ bot.on("callback_query:data", async (ctx) => {
           .text("➕ Add Item", "inv:add")
           .text("🧾 Purchase", "inv:purchase")
           .row()
+          .text("➖ Record Usage", "inv:use")
           .text("✏️ Set Usage", "inv:setusage")
           .row()
+          .text("🛒 Reorder", "inv:reorder")
+          .text("🧾 Orders", "po:list")
+          .row()
+          .text("📋 Stock-take", "st:start")
+          .text("🗑 Record Waste", "inv:waste")
+          .row()
           .text("⬅️ Back", "menu:home");
         await ctx.editMessageText("📦 *Inventory Menu*", {
           parse_mode: "Markdown",
@@ -675,6 +3864,7 @@ bot.on("callback_query:data", async (ctx) => {
           .text("➕ Add Reminder", "rem:add")
           .text("📋 My Reminders", "rem:list")
           .row()
+          .text("📜 History", "rem:history")
           .text("⬅️ Back", "menu:home");
         await ctx.editMessageText("⏰ *Reminders Menu*", {
           parse_mode: "Markdown",
@@ -687,21 +3877,57 @@ bot.on("callback_query:data", async (ctx) => {
         const cmds =
 `${E.file} *Commands (interactive & simple)*
 
-${E.person} /whoami
+${E.person} /whoami — your role & permissions
+${E.person} /me — my attendance calendar & pay
+${E.calendar} /leave <from> <to> <reason> — request leave (no args: my balance)
+${E.calendar} /leaves — pending leave requests (approvers)
+${E.calendar} /leavepolicy <days> <month|year> [id] — paid leave allowance
+${E.calendar} /roster [next|YYYY-MM-DD] — who works when this week
+${E.calendar} /swap <YYYY-MM-DD> <colleague id> [reason] — request a shift swap
+${E.clock} /review — flagged attendance days (missed punches, auto clock-outs)
+${E.clock} /shift [<id> <HH:mm-HH:mm>[,HH:mm-HH:mm]|remove] — shift definitions
 ${E.package} /additem
 ${E.package} /purchase
 ${E.package} /setusage
 ${E.package} /inventory
+${E.package} /use <item> <qty> — record usage
+${E.package} /waste <item> <qty> <reason> — spoiled, burnt, dropped, expired
+${E.package} /wastereport [days]
+${E.package} /autodeduct <item> <on|off>
+${E.package} /ledger <item> [count]
+${E.package} /learnusage <item> <auto|suggest|off>
+${E.package} /addsupplier · /suppliers
+${E.package} /setreorder <item> <qty>
+${E.package} /reorder — draft POs for low items
+${E.package} /orders — open purchase orders
+${E.package} /stocktake — count stock · /stocktake weekly <day> <HH:mm>
+${E.money} /setcost <item> <cost per unit>
+${E.money} /spend [YYYY-MM] — purchase spend by item & supplier
+${E.package} /batches <item> [on [days]|off] — expiry tracking
+${E.package} /expired [YYYY-MM] — expired write-offs
+${E.calendar} /remind me tomorrow 9am call gas supplier — quick reminder in plain words
 ${E.calendar} /addreminder
 ${E.calendar} /myreminders
+${E.calendar} /remhistory — overdue, unacknowledged & done reminders
+${E.calendar} /schedules — recurring checks & next runs
+${E.calendar} /schedule <id> <HH:mm> <rule> [| message] — add or change a schedule
+${E.ok} /checklist <id> on|off — tracked yes/no/not-yet confirmation for a schedule
 ${E.clock} /clockin
 ${E.clock} /clockout
 ${E.calendar} /attendance <id> [YYYY-MM] — admin
 ${E.money} /setsalary <id> <daily|monthly> <amount> [payday]
 ${E.money} /pay <id> — mark payment
-${E.group} /addpartner <id> <name> <role>
-${E.info} /admin — temporary admin (owners only)
-${E.info} /logout — leave temp admin`;
+${E.money} /payroll [YYYY-MM] — payroll run, payslips
+${E.money} /deduct <id> <amount> <reason> — deduction on this month's payroll
+${E.money} /payrollrules — weekly off, overtime rate
+${E.money} /advance <id> <amount> <lump|N> <reason> — salary advance / loan
+${E.money} /advances — everyone with an outstanding advance
+${E.group} /addpartner <id> <name> <role> — owner, admin, manager, storekeeper, cashier, staff
+${E.file} /restore — roll back to a backup (admin)
+${E.heart} /device <id> <minutes> [name] — monitor a heartbeat device (admin)
+${E.info} /admin — temporary admin (password from the owners, expires automatically)
+${E.info} /logout — leave temp admin
+${E.info} /setadminpass <password> — change the temp admin password (owners)`;
         await ctx.editMessageText(cmds, {
           parse_mode: "Markdown",
           reply_markup: new InlineKeyboard().text("⬅️ Back", "menu:home")
@@ -710,14 +3936,18 @@ ${E.info} /logout — leave temp admin`;
       }
 
       if (section === "admin") {
-        if (!isAdmin(uid)) {
-          await ctx.answerCallbackQuery({ text: "Not authorized", show_alert: true });
+        if (!can(uid, "system.admin")) {
+          await ctx.answerCallbackQuery({ text: noPerm("system.admin"), show_alert: true });
           return;
         }
         const kb = new InlineKeyboard()
           .text("👥 Partners", "adm:partners")
           .row()
+          .text("💓 Devices", "adm:devices")
+          .text("💾 Backups", "adm:backups")
+          .row()
           .text("🔐 Temp Admin Info", "adm:temp")
+          .text("🔑 Permissions", "perm:roles")
           .row()
           .text("⬅️ Back", "menu:home");
         await ctx.editMessageText("🛠 *Admin Area*\nOwner/Admin only.", {
@@ -733,11 +3963,14 @@ ${E.info} /logout — leave temp admin`;
 
 • Use the main menu buttons to navigate:
   - Employees → staff profiles, salary, pay cycle, ranks.
+  - My Profile → your own attendance calendar, earnings & payments.
   - Inventory → items, stock, usage.
   - Reminders → one-time or daily reminders.
   - Commands → full command list.
   - Admin → technical/owner tools.
 
+• What you can do depends on your role — /whoami lists your permissions.
+
 For any confusion, contact the owner.`;
         await ctx.editMessageText(msg, {
           parse_mode: "Markdown",
@@ -755,10 +3988,35 @@ For any confusion, contact the owner.`;
       }
     }
 
+    // 1b) MY PROFILE — always the caller's own record, never an id from the button
+    if (data.startsWith("me:")) {
+      const [, view, month] = data.split(":");
+      reloadDb();
+      const staff = db.staff.find(s => String(s.id) === uid);
+      if (!staff) {
+        await ctx.answerCallbackQuery({ text: "Not registered. Ask admin to add you.", show_alert: true });
+        return;
+      }
+      let screen;
+      if (view === "cal" && /^\d{4}-\d{2}$/.test(month || "")) screen = myCalendarView(staff, month);
+      else if (view === "pay") screen = myPaymentsView(staff);
+      else if (view === "slip") {
+        const period = dayjs().tz(staff.tz || "Asia/Kolkata").format("YYYY-MM");
+        const slip = finalSlip(staff.id, period) || computePayslip(staff, period);
+        screen = { text: payslipText(slip), kb: new InlineKeyboard().text("⬅️ Back", "me:home"), plain: true };
+      }
+      else screen = myProfileView(staff);
+      await ctx.answerCallbackQuery();
+      return await ctx.editMessageText(screen.text, {
+        parse_mode: screen.plain ? undefined : "Markdown",
+        reply_markup: screen.kb
+      });
+    }
+
     // 2) EMPLOYEES
     if (data === "emp:add") {
-      if (!isAdmin(uid)) {
-        await ctx.answerCallbackQuery({ text: "Owner/Admin only", show_alert: true });
+      if (!can(uid, "staff.edit")) {
+        await ctx.answerCallbackQuery({ text: noPerm("staff.edit"), show_alert: true });
         return;
       }
       setSession(uid, { action: "add_employee", step: 1, temp: {} });
@@ -769,6 +4027,11 @@ For any confusion, contact the owner.`;
 
     if (data.startsWith("emp:view:")) {
       const id = data.split(":")[2];
+      const self = String(id) === uid;
+      if (!self && !can(uid, "staff.view")) {
+        await ctx.answerCallbackQuery({ text: noPerm("staff.view"), show_alert: true });
+        return;
+      }
       reloadDb();
       const s = db.staff.find(st => String(st.id) === String(id));
       if (!s) {
@@ -802,17 +4065,8 @@ For any confusion, contact the owner.`;
       const attStats = getAttendanceStats(s);
       const payStats = getPaymentStats(s);
 
-      const profile =
-`👤 *Employee Profile*
-
-ID: \`${s.id}\`
-Name: *${s.name}*
-Role: *${s.role}*
-Status: *${statusText}*
-Date of joining: *${joined}*
-Days in GTA Food City: *${daysInCompanyText}*
-
-💵 *Salary*
+      const salaryBlock = self || can(uid, "payroll.view")
+        ? `💵 *Salary*
 Type: *${salaryType}*
 Amount: *${s.salaryAmount || 0}*
 Pay cycle: *${payCycleText}*
@@ -822,11 +4076,27 @@ Total paid till date (overall): *${payStats.totalPaid}*
 This month:
 • Daily pay (approx): *${payStats.dailyPay || 0}*
 • Present days this month: *${payStats.presentMonth}*
+• Paid leave days this month: *${payStats.paidLeaveMonth}*
 • Earned this month (approx): *${payStats.earnedThisMonth.toFixed(0)}*
 • Paid this month: *${payStats.paidThisMonth}*
 • Pending this month (approx): *${payStats.pendingThisMonth.toFixed(0)}*
+• Balance due incl. carried: *${payStats.balanceDue.toFixed(0)}*
+• Advances outstanding: *${fmtMoney(staffAdvances(s.id).reduce((a, x) => a + advanceOutstanding(x), 0))}*
+
+`
+        : "";
+
+      const profile =
+`👤 *Employee Profile*
+
+ID: \`${s.id}\`
+Name: *${s.name}*
+Role: *${s.role}*
+Status: *${statusText}*
+Date of joining: *${joined}*
+Days in GTA Food City: *${daysInCompanyText}*
 
-📊 *Attendance*
+${salaryBlock}📊 *Attendance*
 Total present (from joining): *${attStats.presentTotal}*
 Total absent (from joining): *${attStats.absentTotal}*
 Total leave (from joining): *${attStats.leaveTotal}*
@@ -834,20 +4104,31 @@ Total leave (from joining): *${attStats.leaveTotal}*
 This month present: *${attStats.presentMonth}*
 This month absent: *${attStats.absentMonth}*
 This month leave: *${attStats.leaveMonth}*
+This month worked: *${fmtMinutes(attStats.workedMonth)}* · overtime *${fmtMinutes(attStats.overtimeMonth)}*
+Late arrivals: *${attStats.lateMonth}* · Early leaves: *${attStats.earlyMonth}*
+Paid leave left this ${leaveBalance(s).per}: *${leaveBalance(s).remaining} of ${leaveBalance(s).paidDays}*
 
 Overall performance: *${attStats.ratingText}*
 Badges: *${attStats.badgesText}*`;
 
-      const kb = new InlineKeyboard()
-        .text("✏️ Edit", `emp:edit:${s.id}`)
-        .text("⭐ Rank", `emp:rank:${s.id}`)
-        .row()
-        .text(s.onHold ? "▶️ Unhold" : "⏸ Hold", s.onHold ? `emp:unhold:${s.id}` : `emp:hold:${s.id}`)
-        .row()
-        .text("📤 Export", `emp:export:${s.id}`)
-        .text("❌ Remove", `emp:remove:${s.id}`)
-        .row()
-        .text("⬅️ Back", "menu:employees");
+      const kb = new InlineKeyboard();
+      if (can(uid, "staff.edit")) {
+        kb.text("✏️ Edit", `emp:edit:${s.id}`)
+          .text("⭐ Rank", `emp:rank:${s.id}`)
+          .row()
+          .text(s.onHold ? "▶️ Unhold" : "⏸ Hold", s.onHold ? `emp:unhold:${s.id}` : `emp:hold:${s.id}`)
+          .row();
+      }
+      if (can(uid, "roster.manage")) kb.text("🗓 Roster", `ros:edit:${s.id}`);
+      if (can(uid, "payroll.view")) {
+        kb.text("🧾 Payslip", `prun:slip:${dayjs().tz(s.tz || "Asia/Kolkata").format("YYYY-MM")}:${s.id}`);
+        kb.text("📒 Payments", `pled:list:${s.id}`);
+      }
+      if (kb.inline_keyboard[kb.inline_keyboard.length - 1].length) kb.row();
+      if (can(uid, "payroll.view")) kb.text("📤 Export", `emp:export:${s.id}`);
+      if (can(uid, "staff.edit")) kb.text("❌ Remove", `emp:remove:${s.id}`);
+      if (kb.inline_keyboard[kb.inline_keyboard.length - 1].length) kb.row();
+      kb.text("⬅️ Back", "menu:employees");
 
       await ctx.editMessageText(profile, {
         parse_mode: "Markdown",
@@ -858,8 +4139,8 @@ Badges: *${attStats.badgesText}*`;
 
     if (data.startsWith("emp:edit:")) {
       const id = data.split(":")[2];
-      if (!isAdmin(uid)) {
-        await ctx.answerCallbackQuery({ text: "Owner/Admin only", show_alert: true });
+      if (!can(uid, "staff.edit")) {
+        await ctx.answerCallbackQuery({ text: noPerm("staff.edit"), show_alert: true });
         return;
       }
       setSession(uid, { action: "edit_employee", step: 1, temp: { staffId: id } });
@@ -873,8 +4154,8 @@ Badges: *${attStats.badgesText}*`;
 
     if (data.startsWith("emp:rank:")) {
       const id = data.split(":")[2];
-      if (!isAdmin(uid)) {
-        await ctx.answerCallbackQuery({ text: "Owner/Admin only", show_alert: true });
+      if (!can(uid, "staff.edit")) {
+        await ctx.answerCallbackQuery({ text: noPerm("staff.edit"), show_alert: true });
         return;
       }
       setSession(uid, { action: "rank_employee", step: 1, temp: { staffId: id } });
@@ -885,8 +4166,8 @@ Badges: *${attStats.badgesText}*`;
 
     if (data.startsWith("emp:hold:")) {
       const id = data.split(":")[2];
-      if (!isAdmin(uid)) {
-        await ctx.answerCallbackQuery({ text: "Owner/Admin only", show_alert: true });
+      if (!can(uid, "staff.edit")) {
+        await ctx.answerCallbackQuery({ text: noPerm("staff.edit"), show_alert: true });
         return;
       }
       reloadDb();
@@ -906,8 +4187,8 @@ Badges: *${attStats.badgesText}*`;
 
     if (data.startsWith("emp:unhold:")) {
       const id = data.split(":")[2];
-      if (!isAdmin(uid)) {
-        await ctx.answerCallbackQuery({ text: "Owner/Admin only", show_alert: true });
+      if (!can(uid, "staff.edit")) {
+        await ctx.answerCallbackQuery({ text: noPerm("staff.edit"), show_alert: true });
         return;
       }
       reloadDb();
@@ -926,8 +4207,8 @@ Badges: *${attStats.badgesText}*`;
 
     if (data.startsWith("emp:export:")) {
       const id = data.split(":")[2];
-      if (!isAdmin(uid)) {
-        await ctx.answerCallbackQuery({ text: "Owner/Admin only", show_alert: true });
+      if (!can(uid, "payroll.view")) {
+        await ctx.answerCallbackQuery({ text: noPerm("payroll.view"), show_alert: true });
         return;
       }
       reloadDb();
@@ -964,6 +4245,7 @@ This month (pay view):
   Earned this month (approx): ${payStats.earnedThisMonth.toFixed(0)}
   Paid this month: ${payStats.paidThisMonth}
   Pending this month (approx): ${payStats.pendingThisMonth.toFixed(0)}
+  Balance due incl. carried: ${payStats.balanceDue.toFixed(0)}
 
 Attendance (overall):
   Present: ${attStats.presentTotal}
@@ -974,6 +4256,8 @@ Attendance (this month):
   Present: ${attStats.presentMonth}
   Absent: ${attStats.absentMonth}
   Leave: ${attStats.leaveMonth}
+  Worked: ${fmtMinutes(attStats.workedMonth)} (overtime ${fmtMinutes(attStats.overtimeMonth)})
+  Late: ${attStats.lateMonth} · Early leave: ${attStats.earlyMonth}
 
 Performance: ${attStats.ratingText}
 Badges: ${attStats.badgesText}
@@ -985,8 +4269,8 @@ Badges: ${attStats.badgesText}
 
     if (data.startsWith("emp:remove:")) {
       const id = data.split(":")[2];
-      if (!isAdmin(uid)) {
-        await ctx.answerCallbackQuery({ text: "Owner/Admin only", show_alert: true });
+      if (!can(uid, "staff.edit")) {
+        await ctx.answerCallbackQuery({ text: noPerm("staff.edit"), show_alert: true });
         return;
       }
       reloadDb();
@@ -995,6 +4279,18 @@ Badges: ${attStats.badgesText}
         await ctx.answerCallbackQuery({ text: "Employee not found", show_alert: true });
         return;
       }
+      if (db.partners.some(p => String(p.id) === String(id))) {
+        await ctx.answerCallbackQuery({ text: "This is a partner — remove them with /removepartner first.", show_alert: true });
+        return;
+      }
+      const role = baseRoleOf(id);
+      if (!canGrantRole(uid, role)) {
+        await ctx.answerCallbackQuery({
+          text: `You can't remove someone with role ${role} — it has permissions yours doesn't.`,
+          show_alert: true
+        });
+        return;
+      }
       const removed = db.staff.splice(idx, 1)[0];
       writeDbSync(db);
       logAudit(uid, "emp_removed", JSON.stringify(removed));
@@ -1014,11 +4310,7 @@ Badges: ${attStats.badgesText}
           reply_markup: new InlineKeyboard().text("⬅️ Back", "menu:inventory")
         });
       }
-      const lines = db.inventory.map(it => {
-        const days = calcDaysLeft(it);
-        const daysText = isFinite(days) ? `${Math.floor(days)} day(s)` : "N/A";
-        return `${E.package} ${it.name} (${it.id}) — ${it.stock} ${it.unit}, daily ${it.dailyUsage} — ~${daysText} left`;
-      });
+      const lines = inventorySummaryLines();
       await ctx.answerCallbackQuery();
       return await ctx.editMessageText(lines.join("\n"), {
         reply_markup: new InlineKeyboard().text("⬅️ Back", "menu:inventory")
@@ -1026,8 +4318,8 @@ Badges: ${attStats.badgesText}
     }
 
     if (data === "inv:add") {
-      if (!isAdmin(uid)) {
-        await ctx.answerCallbackQuery({ text: "Owner/Admin only", show_alert: true });
+      if (!can(uid, "inventory.manage")) {
+        await ctx.answerCallbackQuery({ text: noPerm("inventory.manage"), show_alert: true });
         return;
       }
       setSession(uid, { action: "additem", step: 1, temp: {} });
@@ -1037,19 +4329,19 @@ Badges: ${attStats.badgesText}
     }
 
     if (data === "inv:purchase") {
-      if (!isAdmin(uid)) {
-        await ctx.answerCallbackQuery({ text: "Owner/Admin only", show_alert: true });
+      if (!can(uid, "inventory.purchase")) {
+        await ctx.answerCallbackQuery({ text: noPerm("inventory.purchase"), show_alert: true });
         return;
       }
       setSession(uid, { action: "purchase", step: 1, temp: {} });
       await ctx.answerCallbackQuery();
-      await ctx.api.sendMessage(uid, "Purchase — Step 1/3: Enter item id or name:");
+      await ctx.api.sendMessage(uid, "Purchase — Step 1/4: Enter item id or name:");
       return;
     }
 
     if (data === "inv:setusage") {
-      if (!isAdmin(uid)) {
-        await ctx.answerCallbackQuery({ text: "Owner/Admin only", show_alert: true });
+      if (!can(uid, "inventory.manage")) {
+        await ctx.answerCallbackQuery({ text: noPerm("inventory.manage"), show_alert: true });
         return;
       }
       setSession(uid, { action: "setusage", step: 1, temp: {} });
@@ -1058,6 +4350,222 @@ Badges: ${attStats.badgesText}
       return;
     }
 
+    if (data === "inv:use") {
+      if (!can(uid, "inventory.use")) {
+        await ctx.answerCallbackQuery({ text: noPerm("inventory.use"), show_alert: true });
+        return;
+      }
+      setSession(uid, { action: "use", step: 1, temp: {} });
+      await ctx.answerCallbackQuery();
+      await ctx.api.sendMessage(uid, "Record Usage — Step 1/2: Enter item id or name:");
+      return;
+    }
+
+    if (data === "inv:waste") {
+      if (!can(uid, "inventory.use")) {
+        await ctx.answerCallbackQuery({ text: noPerm("inventory.use"), show_alert: true });
+        return;
+      }
+      setSession(uid, { action: "waste", step: 1, temp: {} });
+      await ctx.answerCallbackQuery();
+      await ctx.api.sendMessage(uid, "Record Waste — Step 1/3: Enter item id or name:");
+      return;
+    }
+
+    if (data === "st:start") {
+      if (!can(uid, "inventory.manage")) {
+        await ctx.answerCallbackQuery({ text: noPerm("inventory.manage"), show_alert: true });
+        return;
+      }
+      reloadDb();
+      await ctx.answerCallbackQuery();
+      if (!db.inventory.length) return await ctx.api.sendMessage(uid, "No inventory items.");
+      const t = startStocktake(uid);
+      await ctx.api.sendMessage(uid, stocktakePrompt(t), { parse_mode: "Markdown" });
+      return;
+    }
+
+    if (data === "inv:reorder") {
+      if (!can(uid, "inventory.purchase")) {
+        await ctx.answerCallbackQuery({ text: noPerm("inventory.purchase"), show_alert: true });
+        return;
+      }
+      await ctx.answerCallbackQuery();
+      await replyReorder(ctx, uid);
+      return;
+    }
+
+    // purchase orders
+    if (data.startsWith("po:")) {
+      const [, action, poId] = data.split(":");
+      if (!can(uid, "inventory.purchase")) {
+        await ctx.answerCallbackQuery({ text: noPerm("inventory.purchase"), show_alert: true });
+        return;
+      }
+      reloadDb();
+      if (action === "list") {
+        const recent = db.purchaseOrders.slice(-15).reverse();
+        const kb = new InlineKeyboard();
+        for (const po of recent) {
+          const sp = db.suppliers.find(x => x.id === po.supplierId) || { name: po.supplierId };
+          const when = dayjs(po.createdAt).tz("Asia/Kolkata").format("MM-DD");
+          kb.text(`${when} ${sp.name} — ${po.status}`, `po:view:${po.id}`).row();
+        }
+        kb.text("⬅️ Back", "menu:inventory");
+        await ctx.answerCallbackQuery();
+        return await ctx.editMessageText(
+          recent.length ? "🧾 *Purchase Orders* (latest first)" : "No purchase orders yet. Use 🛒 Reorder.",
+          { parse_mode: "Markdown", reply_markup: kb }
+        );
+      }
+      const po = db.purchaseOrders.find(x => x.id === poId);
+      if (!po) {
+        await ctx.answerCallbackQuery({ text: "Order not found", show_alert: true });
+        return;
+      }
+      const sp = db.suppliers.find(x => x.id === po.supplierId) || { name: po.supplierId };
+      if (action === "send") {
+        if (po.status !== "draft") {
+          await ctx.answerCallbackQuery({ text: `Order is already ${po.status}.` });
+          return;
+        }
+        const lines = po.lines.map(l => {
+          const it = db.inventory.find(i => i.id === l.itemId);
+          return `• ${it ? it.name : l.itemId}: ${l.qty} ${l.unit || ""}`;
+        });
+        const orderMsg = `Order from GTA Food City:\n${lines.join("\n")}\n\nPlease confirm delivery time. Thank you!`;
+        let delivered = false;
+        if (sp.chatId) {
+          try {
+            await bot.api.sendMessage(String(sp.chatId), orderMsg);
+            delivered = true;
+          } catch (e) {
+            console.error("po send err", e.message);
+          }
+        }
+        po.status = "sent";
+        po.sentAt = dayjs().toISOString();
+        po.sentBy = uid;
+        writeDbSync(db);
+        logAudit(uid, "po_sent", `${po.id}|${sp.id || po.supplierId}|${delivered ? "telegram" : "manual"}`);
+        await ctx.answerCallbackQuery({ text: delivered ? "Sent to supplier." : "Marked sent." });
+        if (!delivered) {
+          await ctx.api.sendMessage(
+            uid,
+            `Forward this to ${sp.name}${sp.phone ? ` (📞 ${sp.phone})` : ""}:\n\n${orderMsg}`
+          );
+        }
+      } else if (action === "recv") {
+        if (po.status === "received") {
+          await ctx.answerCallbackQuery({ text: "Already received." });
+          return;
+        }
+        setSession(uid, { action: "po_receive", step: 1, temp: { poId: po.id } });
+        await ctx.answerCallbackQuery({ text: "Enter costs in chat." });
+        const names = po.lines.map(l => (db.inventory.find(i => i.id === l.itemId) || { name: l.itemId }).name);
+        return await ctx.api.sendMessage(
+          uid,
+          `Receive order — enter the unit cost for each line, comma separated, in this order:\n` +
+            names.map((n, i) => `${i + 1}. ${n}`).join("\n") +
+            `\n\nOr type \`skip\` to receive without costs.`
+        );
+      } else if (action === "del") {
+        if (po.status !== "draft") {
+          await ctx.answerCallbackQuery({ text: "Only drafts can be deleted." });
+          return;
+        }
+        db.purchaseOrders = db.purchaseOrders.filter(x => x.id !== po.id);
+        writeDbSync(db);
+        logAudit(uid, "po_deleted", po.id);
+        await ctx.answerCallbackQuery({ text: "Draft deleted." });
+        return await ctx.editMessageText("Draft order deleted.", {
+          reply_markup: new InlineKeyboard().text("⬅️ Orders", "po:list")
+        });
+      } else {
+        await ctx.answerCallbackQuery();
+      }
+      return await ctx.editMessageText(poText(po), { parse_mode: "Markdown", reply_markup: poKeyboard(po) });
+    }
+
+    // expiry alert: acknowledge or write the batch off
+    if (data.startsWith("expack:") || data.startsWith("expwo:")) {
+      const [kind, itemId, batchId] = data.split(":");
+      reloadDb();
+      const it = db.inventory.find(i => String(i.id) === String(itemId));
+      const batch = it && (it.batches || []).find(b => b.id === batchId);
+      if (!batch) {
+        await ctx.answerCallbackQuery({ text: "Batch already used up or written off.", show_alert: false });
+        return;
+      }
+      if (kind === "expack") {
+        if (batch._ackBy) {
+          await ctx.answerCallbackQuery({ text: "Already acknowledged.", show_alert: false });
+          return;
+        }
+        batch._ackBy = uid;
+        writeDbSync(db);
+        logAudit(uid, "expiry_ack", `${itemId}|${batchId}`);
+        await ctx.answerCallbackQuery({ text: "Thanks, noted.", show_alert: false });
+        return;
+      }
+      if (!can(uid, "inventory.manage")) {
+        await ctx.answerCallbackQuery({ text: noPerm("inventory.manage"), show_alert: true });
+        return;
+      }
+      const qty = batch.qty;
+      const cost = itemUnitCost(it);
+      recordStockMovement(it, "wastage", -qty, uid, {
+        reason: "expired",
+        batchId,
+        expiry: batch.expiry,
+        unitCost: cost
+      });
+      writeDbSync(db);
+      logAudit(uid, "expiry_writeoff", `${itemId}|${batchId}|${qty}`);
+      await ctx.answerCallbackQuery({ text: "Written off." });
+      const valueText = cost ? ` — value ${fmtMoney(qty * cost)}` : "";
+      for (const p of db.partners) {
+        try {
+          await bot.api.sendMessage(
+            String(p.id),
+            `🗑 Written off ${qty} ${it.unit} ${it.name} (expiry ${batch.expiry})${valueText}. Now ${it.stock} ${it.unit}.`
+          );
+        } catch (e) {
+          console.error("writeoff notify err", e.message);
+        }
+      }
+      return;
+    }
+
+    // learned usage suggestion
+    if (data.startsWith("invlearn:")) {
+      const [, itemId, action] = data.split(":");
+      if (!can(uid, "inventory.manage")) {
+        await ctx.answerCallbackQuery({ text: noPerm("inventory.manage"), show_alert: true });
+        return;
+      }
+      reloadDb();
+      const it = db.inventory.find(i => String(i.id) === String(itemId));
+      if (!it || !it._usageSuggestion) {
+        await ctx.answerCallbackQuery({ text: "Suggestion no longer available.", show_alert: true });
+        return;
+      }
+      const sug = it._usageSuggestion;
+      delete it._usageSuggestion;
+      if (action === "apply") {
+        applyObservedUsage(it, sug);
+        writeDbSync(db);
+        logAudit(uid, "usage_learned_apply", `${it.id}|${it.dailyUsage}`);
+        await ctx.answerCallbackQuery({ text: "Daily usage updated." });
+        await ctx.api.sendMessage(uid, `${E.ok} ${it.name}: daily usage now ${it.dailyUsage} ${it.unit}.`);
+      } else {
+        writeDbSync(db);
+        logAudit(uid, "usage_learned_ignore", it.id);
+        await ctx.answerCallbackQuery({ text: "Kept current usage." });
+      }
+      return;
+    }
+
     // Inventory acknowledge
     if (data.startsWith("invack:")) {
       const itemId = data.split(":")[1];
@@ -1095,49 +4603,168 @@ Badges: ${attStats.badgesText}
       return;
     }
 
-    if (data === "rem:list") {
+    if (data === "rem:list") {
+      reloadDb();
+      const v = reminderListView(uid);
+      await ctx.answerCallbackQuery();
+      return await ctx.editMessageText(v.text, { reply_markup: v.kb });
+    }
+
+    // /remind confirmation card
+    if (data === "remc:save" || data === "remc:cancel") {
+      const session = getSession(uid);
+      if (!session || session.action !== "remind_confirm") {
+        await ctx.answerCallbackQuery({ text: "Nothing to save — send /remind again.", show_alert: true });
+        return;
+      }
+      clearSession(uid);
+      if (data === "remc:cancel") {
+        await ctx.answerCallbackQuery({ text: "Cancelled." });
+        return await ctx.editMessageText("Reminder not saved.");
+      }
+      reloadDb();
+      const r = saveReminder(uid, session.temp);
+      await ctx.answerCallbackQuery({ text: "Reminder saved." });
+      return await ctx.editMessageText(`${E.ok} Saved.\n\n${reminderView(r, uid).text}`);
+    }
+
+    if (data === "rem:history") {
+      reloadDb();
+      const v = reminderHistoryView(uid);
+      await ctx.answerCallbackQuery();
+      return await ctx.editMessageText(v.text, { reply_markup: v.kb });
+    }
+
+    if (data.startsWith("rem:")) {
+      const [, action, id, arg] = data.split(":");
       reloadDb();
-      const mine = db.reminders.filter(
-        r =>
-          r.target === String(uid) ||
-          r.target === "all" ||
-          r.createdBy === String(uid)
-      );
-      await ctx.answerCallbackQuery();
-      if (!mine.length) {
-        return await ctx.api.sendMessage(uid, "No reminders.");
+      const r = db.reminders.find(x => x.id === id && !x.done);
+      if (!r) {
+        await ctx.answerCallbackQuery({ text: "Reminder not found.", show_alert: true });
+        return;
       }
-      const lines = mine.map(r =>
-        `${E.calendar} [${r.id}] To: ${r.target} — ${r.text} — ${dayjs(r.when)
-          .tz("Asia/Kolkata")
-          .format("YYYY-MM-DD HH:mm")} — ${r.repeat || "once"}`
-      );
-      return await ctx.api.sendMessage(uid, lines.join("\n"));
+      if (action !== "view" && !canManageReminder(uid, r)) {
+        await ctx.answerCallbackQuery({ text: "Only the person who created this reminder can change it.", show_alert: true });
+        return;
+      }
+      if (action === "edit") {
+        const prompts = {
+          text: "New reminder text:",
+          time: "New date & time (YYYY-MM-DD HH:MM) in IST:",
+          target: "Who to remind? Reply: `me`, `all`, or a chat_id.",
+          repeat: "Repeat? `once`, `daily`, `weekdays`, `every 3 days`, `weekly mon,thu`, `monthly last` … (+ `until YYYY-MM-DD` / `5 times`)",
+          escalate:
+            "If nobody taps Done: re-send after how many minutes? Reply `30` (re-send once, then alert owners), " +
+            "`30 2` (re-send twice first) or `off`."
+        };
+        if (!prompts[arg]) return await ctx.answerCallbackQuery();
+        setSession(uid, { action: "rem_edit", step: 1, temp: { id, field: arg } });
+        await ctx.api.sendMessage(uid, prompts[arg]);
+        return await ctx.answerCallbackQuery({ text: "Reply in chat." });
+      }
+      if (action === "snz" && SNOOZES[arg]) {
+        const now = dayjs();
+        const base = dayjs(r.when).isAfter(now) ? dayjs(r.when) : now;
+        r.snoozedUntil = snoozeUntil(base, arg).toISOString();
+        logAudit(uid, "reminder_snooze", `${r.id}|${r.snoozedUntil}`);
+        await ctx.answerCallbackQuery({ text: `Snoozed until ${reminderFireAt(r).tz(REMINDER_TZ).format("DD MMM HH:mm")}.` });
+      } else if (action === "pause") {
+        r.paused = true;
+        logAudit(uid, "reminder_pause", r.id);
+        await ctx.answerCallbackQuery({ text: "Paused." });
+      } else if (action === "resume") {
+        delete r.paused;
+        // a recurring reminder picks up from its next future occurrence
+        const rule = reminderRule(r);
+        let next = dayjs(r.when);
+        for (let i = 0; next && rule.type !== "once" && !next.isAfter(dayjs()) && i < 10000; i++) next = nextOccurrence(rule, next);
+        // its until date or count ran out while paused: finish it instead of firing once more
+        if (recurrenceEnded(rule, r.sent || 0, next)) {
+          r.done = true;
+          r.doneAt = dayjs().toISOString();
+          writeDbSync(db);
+          logAudit(uid, "reminder_done", `${r.id}|ended while paused`);
+          await ctx.answerCallbackQuery({ text: "Its repeat ended while paused — marked done.", show_alert: true });
+          const v = reminderListView(uid);
+          return await ctx.editMessageText(v.text, { reply_markup: v.kb });
+        }
+        r.when = next.toISOString();
+        logAudit(uid, "reminder_resume", r.id);
+        await ctx.answerCallbackQuery({ text: "Resumed." });
+      } else if (action === "del") {
+        db.reminders = db.reminders.filter(x => x.id !== r.id);
+        writeDbSync(db);
+        logAudit(uid, "reminder_delete", `${r.id}|${r.text}`);
+        await ctx.answerCallbackQuery({ text: "Reminder deleted." });
+        const v = reminderListView(uid);
+        return await ctx.editMessageText(v.text, { reply_markup: v.kb });
+      } else {
+        await ctx.answerCallbackQuery();
+      }
+      writeDbSync(db);
+      const v = reminderView(r, uid);
+      return await ctx.editMessageText(v.text, { reply_markup: v.kb });
+    }
+
+    // snooze straight from a delivered reminder: a personal one-off copy,
+    // so the original (and anyone else it went to) keeps its schedule
+    if (data.startsWith("remsnz:")) {
+      const [, id, key] = data.split(":");
+      reloadDb();
+      const r = db.reminders.find(x => x.id === id);
+      if (!r || !SNOOZES[key]) {
+        await ctx.answerCallbackQuery({ text: "Reminder not found." });
+        return;
+      }
+      const when = snoozeUntil(dayjs(), key);
+      db.reminders.push({
+        id: `r${Date.now()}`,
+        createdBy: String(uid),
+        target: String(uid),
+        text: r.text,
+        when: when.toISOString(),
+        rule: { type: "once" },
+        sent: 0,
+        snoozeOf: r.id
+      });
+      writeDbSync(db);
+      logAudit(uid, "reminder_snooze", `${r.id}|${when.toISOString()}`);
+      await ctx.answerCallbackQuery({ text: `Snoozed until ${when.tz(REMINDER_TZ).format("DD MMM HH:mm")}.` });
+      return;
     }
 
-    // 5) veggies
-    if (data.startsWith("veg:")) {
-      const [, date, action] = data.split(":");
+    // 5) checklist confirmations (veg: is the pre-checklist button format)
+    if (data.startsWith("chk:") || data.startsWith("veg:")) {
+      const parts = data.split(":");
+      const [sid, occ, action] = parts[0] === "veg" ? ["vegetables", parts[1], parts[2]] : parts.slice(1);
       const pid = uid;
       reloadDb();
-      db.pendingConfirmations = db.pendingConfirmations || {};
-      db.pendingConfirmations[date] = db.pendingConfirmations[date] || {};
+      const sched = db.schedules.find(x => x.id === sid);
+      const conf = scheduleConfirm(sched) || scheduleConfirm({ id: "vegetables" });
+      const label = sched ? sched.label : sid;
+      // a forwarded card must not let someone else answer for the assignee
+      if (!confirmRecipients(conf.assignee).includes(String(pid))) {
+        await ctx.answerCallbackQuery({ text: "This checklist isn't assigned to you.", show_alert: true });
+        return;
+      }
+      const key = `${sid}|${occ}`;
+      db.pendingConfirmations[key] = db.pendingConfirmations[key] || {};
       if (action === "yes") {
-        db.pendingConfirmations[date][pid] = {
+        db.pendingConfirmations[key][pid] = {
           status: "confirmed",
           lastUpdated: dayjs().toISOString(),
           nextCheck: null
         };
         writeDbSync(db);
-        await ctx.api.sendMessage(pid, `Thanks — veg list confirmed for ${date}. ${E.ok}`);
+        await ctx.api.sendMessage(pid, `Thanks — ${label} confirmed for ${occ}. ${E.ok}`);
         await ctx.answerCallbackQuery({ text: "Confirmed ✅" });
-        logAudit(pid, "veg_confirm", `yes:${date}`);
+        logAudit(pid, "checklist_confirm", `${sid}|yes|${occ}`);
         return;
       } else if (action === "no" || action === "notyet") {
         const next = dayjs()
-          .add(db.settings.vegConfirm.followupMinutes1, "minute")
+          .add(conf.followupMinutes1, "minute")
           .toISOString();
-        db.pendingConfirmations[date][pid] = {
+        db.pendingConfirmations[key][pid] = {
           status: action === "no" ? "no" : "notyet",
           lastUpdated: dayjs().toISOString(),
           nextCheck: next
@@ -1145,51 +4772,66 @@ Badges: ${attStats.badgesText}
         writeDbSync(db);
         await ctx.api.sendMessage(
           pid,
-          `Noted — we'll remind in ${db.settings.vegConfirm.followupMinutes1} minutes.`
+          `Noted — we'll remind in ${conf.followupMinutes1} minutes.`
         );
         await ctx.answerCallbackQuery({ text: "Followup scheduled." });
-        logAudit(pid, "veg_confirm", `${action}:${date}`);
+        logAudit(pid, "checklist_confirm", `${sid}|${action}|${occ}`);
         return;
       }
     }
 
     // 6) payment
     if (data.startsWith("pay:")) {
-      const [, staffId, action] = data.split(":");
+      const [, staffId, action, method] = data.split(":");
       const actor = uid;
+      if (!can(uid, "payroll.pay")) {
+        await ctx.answerCallbackQuery({ text: noPerm("payroll.pay"), show_alert: true });
+        return;
+      }
       reloadDb();
       const staff = db.staff.find(s => String(s.id) === String(staffId));
       if (!staff) {
         await ctx.answerCallbackQuery({ text: "Staff not found." });
         return;
       }
+      if ((action === "yes" || action === "partial") && !PAYMENT_METHODS[method]) {
+        await ctx.api.sendMessage(actor, `How was ${staff.name} paid?`, {
+          reply_markup: paymentMethodKeyboard(`pay:${staffId}:${action}`)
+        });
+        await ctx.answerCallbackQuery();
+        return;
+      }
       if (action === "yes") {
         const when = dayjs().toISOString();
         const amount = staff.salaryAmount || 0;
+        const id = `pay${Date.now()}`;
         db.payments = db.payments || [];
         db.payments.push({
+          id,
           staffId: String(staffId),
           amount,
           when,
+          method,
           recordedBy: actor,
           type: staff.salaryType
         });
         writeDbSync(db);
         await ctx.api.sendMessage(
           actor,
-          `${E.ok} Recorded full payment of ${amount} for ${staff.name}.`
+          `${E.ok} Recorded full payment of ${amount} (${PAYMENT_METHODS[method]}) for ${staff.name}.`
         );
         await ctx.answerCallbackQuery({ text: "Payment recorded." });
-        logAudit(actor, "pay_full", `${staffId}|${amount}`);
+        logAudit(actor, "pay_full", `${id}|${staffId}|${amount}|${method}`);
         return;
       } else if (action === "partial") {
-        setSession(actor, { action: "pay_partial", step: 1, temp: { staffId } });
+        setSession(actor, { action: "pay_partial", step: 1, temp: { staffId, method } });
         await ctx.api.sendMessage(actor, `Enter partial paid amount for ${staff.name} (number):`);
         await ctx.answerCallbackQuery({ text: "Enter partial amount in chat." });
         return;
       } else if (action === "no") {
         db.payments = db.payments || [];
         db.payments.push({
+          id: `pay${Date.now()}`,
           staffId: String(staffId),
           amount: 0,
           when: dayjs().toISOString(),
@@ -1209,6 +4851,10 @@ Badges: ${attStats.badgesText}
     if (data.startsWith("att:")) {
       const [, sid, action] = data.split(":");
       const actor = uid;
+      if (!can(uid, "attendance.mark")) {
+        await ctx.answerCallbackQuery({ text: noPerm("attendance.mark"), show_alert: true });
+        return;
+      }
       reloadDb();
       const staff = db.staff.find(s => String(s.id) === String(sid));
       if (!staff) {
@@ -1224,7 +4870,7 @@ Badges: ${attStats.badgesText}
       };
       if (action === "present") staff.attendance[today].status = "present";
       else if (action === "absent") staff.attendance[today].status = "absent";
-      else if (action === "leave") staff.attendance[today].status = "leave";
+      else if (action === "leave") markLeaveDay(staff, today);
       writeDbSync(db);
       await ctx.api.sendMessage(
         actor,
@@ -1235,17 +4881,377 @@ Badges: ${attStats.badgesText}
       return;
     }
 
+    // 7b) leave approval
+    if (data.startsWith("leave:")) {
+      const [, action, id] = data.split(":");
+      if (!can(uid, "leave.approve")) {
+        await ctx.answerCallbackQuery({ text: noPerm("leave.approve"), show_alert: true });
+        return;
+      }
+      reloadDb();
+      const lr = db.leaveRequests.find(x => x.id === id);
+      if (!lr) {
+        await ctx.answerCallbackQuery({ text: "Leave request not found.", show_alert: true });
+        return;
+      }
+      if (lr.status !== "pending") {
+        await ctx.answerCallbackQuery({ text: `Already ${lr.status}.`, show_alert: true });
+        return;
+      }
+      if (String(lr.staffId) === String(uid)) {
+        const sent = await sendLeaveToApprovers(lr);
+        await ctx.answerCallbackQuery({
+          text: sent
+            ? "You can't decide your own leave — sent to another approver."
+            : "You can't decide your own leave and no one else can approve it — ask an owner.",
+          show_alert: true
+        });
+        return;
+      }
+      const staff = db.staff.find(s => String(s.id) === String(lr.staffId));
+      if (!staff) {
+        await ctx.answerCallbackQuery({ text: "Staff not found." });
+        return;
+      }
+      lr.decidedBy = uid;
+      lr.decidedAt = dayjs().toISOString();
+      let note;
+      if (action === "ok") {
+        lr.status = "approved";
+        let paid = 0;
+        // days already worked keep their punches and pay; they are not leave
+        const worked = d => {
+          const rec = (staff.attendance || {})[d];
+          return !!rec && (rec.in || rec.out || rec.status === "present");
+        };
+        const all = leaveDates(lr.from, lr.to);
+        const dates = all.filter(d => !worked(d));
+        lr.workedDates = all.filter(worked);
+        for (const d of dates) if (markLeaveDay(staff, d, { leaveId: lr.id })) paid++;
+        lr.paidDays = paid;
+        lr.unpaidDays = dates.length - paid;
+        note = `approved — ${paid} paid, ${lr.unpaidDays} unpaid day(s)`;
+        if (lr.workedDates.length) note += `; already worked, kept as present: ${lr.workedDates.join(", ")}`;
+      } else {
+        lr.status = "rejected";
+        note = "rejected";
+      }
+      writeDbSync(db);
+      logAudit(uid, `leave_${lr.status}`, `${lr.id}|${lr.staffId}|${lr.from}|${lr.to}`);
+      try {
+        await bot.api.sendMessage(
+          String(lr.staffId),
+          `🌴 Your leave ${lr.from} → ${lr.to} was ${note}.`
+        );
+      } catch (e) {
+        console.error("leave decision notify err", e.message);
+      }
+      await ctx.answerCallbackQuery({ text: `Leave ${lr.status}.` });
+      return await ctx.editMessageText(`${leaveRequestText(lr)}\n\n${action === "ok" ? E.ok : E.cancel} ${note[0].toUpperCase()}${note.slice(1)}.`);
+    }
+
+    // 7c) roster editor & shift swaps
+    if (data === "ros:week") {
+      reloadDb();
+      await ctx.answerCallbackQuery();
+      return await ctx.editMessageText(rosterText(dayjs().tz("Asia/Kolkata").format("YYYY-MM-DD")), {
+        reply_markup: new InlineKeyboard().text("⬅️ Back", "menu:employees")
+      });
+    }
+
+    if (data.startsWith("ros:edit:") || data.startsWith("ros:set:")) {
+      const [, action, sid, dow] = data.split(":");
+      if (!can(uid, "roster.manage")) {
+        await ctx.answerCallbackQuery({ text: noPerm("roster.manage"), show_alert: true });
+        return;
+      }
+      reloadDb();
+      const staff = db.staff.find(s => String(s.id) === String(sid));
+      if (!staff) {
+        await ctx.answerCallbackQuery({ text: "Staff not found." });
+        return;
+      }
+      if (action === "set") {
+        const options = [...Object.keys(getShifts()), "off"];
+        const day = WEEKDAYS[Number(dow)];
+        const cur = (staff.roster || {})[day] || "off";
+        const next = options[(options.indexOf(cur) + 1) % options.length];
+        staff.roster = { ...(staff.roster || {}), [day]: next };
+        writeDbSync(db);
+        logAudit(uid, "roster_set", `${staff.id}|${day}|${next}`);
+      }
+      const view = rosterEditView(staff);
+      await ctx.answerCallbackQuery();
+      return await ctx.editMessageText(view.text, { reply_markup: view.kb });
+    }
+
+    if (data.startsWith("swap:")) {
+      const [, action, id] = data.split(":");
+      if (!can(uid, "roster.manage")) {
+        await ctx.answerCallbackQuery({ text: noPerm("roster.manage"), show_alert: true });
+        return;
+      }
+      reloadDb();
+      const sw = db.shiftSwaps.find(x => x.id === id);
+      if (!sw || sw.status !== "pending") {
+        await ctx.answerCallbackQuery({ text: sw ? `Already ${sw.status}.` : "Swap not found.", show_alert: true });
+        return;
+      }
+      const a = db.staff.find(s => String(s.id) === sw.fromId);
+      const b = db.staff.find(s => String(s.id) === sw.toId);
+      if (!a || !b) {
+        await ctx.answerCallbackQuery({ text: "Staff not found." });
+        return;
+      }
+      // the roster may have changed since the request: never write stale shifts
+      const stale = action === "ok" && (shiftFor(a, sw.date) !== sw.fromShift || shiftFor(b, sw.date) !== sw.toShift);
+      sw.status = stale ? "outdated" : action === "ok" ? "approved" : "rejected";
+      sw.decidedBy = uid;
+      sw.decidedAt = dayjs().toISOString();
+      if (stale) {
+        writeDbSync(db);
+        logAudit(uid, "swap_outdated", `${sw.id}|${sw.date}|${sw.fromId}|${sw.toId}`);
+        for (const sid of [sw.fromId, sw.toId]) {
+          try {
+            await bot.api.sendMessage(sid, `⇄ Shift swap for ${sw.date} was not applied — the roster changed. Request it again with /swap.`);
+          } catch (e) {
+            console.error("swap decision notify err", e.message);
+          }
+        }
+        await ctx.answerCallbackQuery({ text: "The roster for that day changed since the request — swap not applied.", show_alert: true });
+        return await ctx.editMessageText(`${swapText(sw)}
+
+${E.warn} Not applied — the roster changed since it was requested.`);
+      }
+      if (sw.status === "approved") {
+        a.rosterOverrides = { ...(a.rosterOverrides || {}), [sw.date]: sw.toShift || "off" };
+        b.rosterOverrides = { ...(b.rosterOverrides || {}), [sw.date]: sw.fromShift || "off" };
+      }
+      writeDbSync(db);
+      logAudit(uid, `swap_${sw.status}`, `${sw.id}|${sw.date}|${sw.fromId}|${sw.toId}`);
+      for (const sid of [sw.fromId, sw.toId]) {
+        try {
+          await bot.api.sendMessage(sid, `⇄ Shift swap for ${sw.date} was ${sw.status}.`);
+        } catch (e) {
+          console.error("swap decision notify err", e.message);
+        }
+      }
+      await ctx.answerCallbackQuery({ text: `Swap ${sw.status}.` });
+      return await ctx.editMessageText(`${swapText(sw)}\n\n${sw.status === "approved" ? E.ok : E.cancel} ${sw.status}`);
+    }
+
+    // 7d) open punch: staff confirms their out time
+    if (data.startsWith("punch:")) {
+      const [, action, date] = data.split(":");
+      reloadDb();
+      const staff = db.staff.find(s => String(s.id) === uid);
+      const rec = staff && (staff.attendance || {})[date];
+      if (!rec || !rec.in) {
+        await ctx.answerCallbackQuery({ text: "No clock-in found for that day.", show_alert: true });
+        return;
+      }
+      if (rec.out) {
+        await ctx.answerCallbackQuery({ text: "Already closed.", show_alert: true });
+        return;
+      }
+      if (action === "time") {
+        setSession(uid, { action: "punch_out", step: 1, temp: { date } });
+        await ctx.answerCallbackQuery();
+        return await ctx.api.sendMessage(uid, `What time did you leave on ${date}? (HH:mm)`);
+      }
+      const out = expectedOut(staff, date);
+      rec.out = (out.isAfter(dayjs()) ? dayjs() : out).toISOString();
+      rec.outSource = "confirmed";
+      writeDbSync(db);
+      logAudit(uid, "clockout_confirmed", `${date}|${rec.out}`);
+      await ctx.answerCallbackQuery({ text: "Clock-out saved." });
+      return await ctx.editMessageText(
+        `${E.clock} Clocked out for ${date} at ${dayjs(rec.out).tz(staff.tz || "Asia/Kolkata").format("HH:mm")} — ${metricsText(dayMetrics(staff, date))}`
+      );
+    }
+
+    // 7e) review queue for flagged days
+    if (data.startsWith("rev:")) {
+      const [, action, sid, date] = data.split(":");
+      if (!can(uid, "attendance.mark")) {
+        await ctx.answerCallbackQuery({ text: noPerm("attendance.mark"), show_alert: true });
+        return;
+      }
+      reloadDb();
+      if (action === "list") {
+        const items = flaggedDays();
+        await ctx.answerCallbackQuery();
+        if (!items.length) return await ctx.api.sendMessage(uid, `${E.ok} Nothing to review.`);
+        for (const it of items.slice(0, 15)) {
+          await ctx.api.sendMessage(uid, reviewItemText(it), { reply_markup: reviewKeyboard(it.staff.id, it.date) });
+        }
+        return;
+      }
+      const staff = db.staff.find(s => String(s.id) === String(sid));
+      const rec = staff && (staff.attendance || {})[date];
+      if (!rec) {
+        await ctx.answerCallbackQuery({ text: "Record not found.", show_alert: true });
+        return;
+      }
+      if (action === "fix") {
+        setSession(uid, { action: "review_fix", step: 1, temp: { staffId: staff.id, date } });
+        await ctx.answerCallbackQuery();
+        return await ctx.api.sendMessage(
+          uid,
+          `Enter ${staff.name}'s times for ${date} as HH:mm-HH:mm (in-out), or just HH:mm to set the out time:`
+        );
+      }
+      if (action === "abs") rec.status = "absent";
+      rec.reviewedAt = dayjs().toISOString();
+      rec.reviewedBy = uid;
+      writeDbSync(db);
+      logAudit(uid, "attendance_review", `${staff.id}|${date}|${action}`);
+      await ctx.answerCallbackQuery({ text: "Reviewed." });
+      return await ctx.editMessageText(
+        `${reviewItemText({ staff, date, rec })}\n\n${E.ok} ${action === "abs" ? "Marked absent" : "Accepted"}.`
+      );
+    }
+
+    // 7f) payroll runs & payslips
+    if (data.startsWith("prun:")) {
+      const [, action, period, sid] = data.split(":");
+      const needed = ["final", "send", "sendall"].includes(action) ? "payroll.pay" : "payroll.view";
+      if (!can(uid, needed)) {
+        await ctx.answerCallbackQuery({ text: noPerm(needed), show_alert: true });
+        return;
+      }
+      reloadDb();
+      if (action === "final") {
+        const later = laterFinalRun(period);
+        if (later) {
+          await ctx.answerCallbackQuery({
+            text: `${later.period} is already finalized on top of ${period}'s balance — ${period} can't be finalized again.`,
+            show_alert: true
+          });
+          return;
+        }
+        const slips = db.staff
+          .filter(st => !st.onHold && Number(st.salaryAmount) > 0)
+          .map(st => computePayslip(st, period));
+        db.payrollRuns = db.payrollRuns.filter(r => r.period !== period);
+        db.payrollRuns.push({ period, finalizedAt: dayjs().toISOString(), finalizedBy: uid, slips });
+        writeDbSync(db);
+        logAudit(uid, "payroll_finalize", `${period}|${slips.length}`);
+        await ctx.answerCallbackQuery({ text: `Payroll ${period} finalized.` });
+      } else if (action === "slip" || action === "send") {
+        const slip = payrollSlips(period).slips.find(x => x.staffId === String(sid));
+        if (!slip) {
+          await ctx.answerCallbackQuery({ text: "No payslip for that employee.", show_alert: true });
+          return;
+        }
+        if (action === "send") {
+          try {
+            await bot.api.sendMessage(slip.staffId, payslipText(slip));
+            logAudit(uid, "payslip_sent", `${period}|${slip.staffId}`);
+            await ctx.answerCallbackQuery({ text: `Payslip sent to ${slip.name}.` });
+          } catch (e) {
+            console.error("payslip send err", e.message);
+            await ctx.answerCallbackQuery({ text: `Couldn't send: ${e.message}`, show_alert: true });
+          }
+          return;
+        }
+        await ctx.answerCallbackQuery();
+        return await ctx.editMessageText(payslipText(slip), {
+          reply_markup: new InlineKeyboard()
+            .text("📨 Send to employee", `prun:send:${period}:${slip.staffId}`)
+            .row()
+            .text("⬅️ Back", `prun:view:${period}`)
+        });
+      } else if (action === "sendall") {
+        let sent = 0;
+        for (const slip of payrollSlips(period).slips) {
+          try {
+            await bot.api.sendMessage(slip.staffId, payslipText(slip));
+            sent++;
+          } catch (e) {
+            console.error("payslip send err", e.message);
+          }
+        }
+        logAudit(uid, "payslip_sent", `${period}|all|${sent}`);
+        await ctx.answerCallbackQuery({ text: `Sent ${sent} payslip(s).` });
+        return;
+      } else {
+        await ctx.answerCallbackQuery();
+      }
+      const view = payrollView(period);
+      return await ctx.editMessageText(view.text, { reply_markup: view.kb });
+    }
+
+    // 7g) payment ledger: browse, void, correct
+    if (data.startsWith("pled:")) {
+      const [, action, key, extra] = data.split(":");
+      const needed = action === "list" || action === "view" ? "payroll.view" : "payroll.pay";
+      if (!can(uid, needed)) {
+        await ctx.answerCallbackQuery({ text: noPerm(needed), show_alert: true });
+        return;
+      }
+      reloadDb();
+      if (action === "list") {
+        const staff = db.staff.find(x => String(x.id) === String(key));
+        if (!staff) {
+          await ctx.answerCallbackQuery({ text: "Staff not found." });
+          return;
+        }
+        const v = paymentHistoryView(staff);
+        await ctx.editMessageText(v.text, { reply_markup: v.kb });
+        return await ctx.answerCallbackQuery();
+      }
+      const p = db.payments.find(x => x.id === key);
+      if (!p) {
+        await ctx.answerCallbackQuery({ text: "Payment not found.", show_alert: true });
+        return;
+      }
+      const staff = db.staff.find(x => String(x.id) === String(p.staffId));
+      if (action === "view") {
+        const v = paymentEntryView(p, staff);
+        await ctx.editMessageText(v.text, { reply_markup: v.kb });
+        return await ctx.answerCallbackQuery();
+      }
+      if (p.voided) {
+        await ctx.answerCallbackQuery({ text: "That payment is already void.", show_alert: true });
+        return;
+      }
+      if (action === "void") {
+        setSession(uid, { action: "pled_void", step: 1, temp: { paymentId: p.id } });
+        await ctx.api.sendMessage(uid, `Reason for voiding ${fmtMoney(Number(p.amount))} paid to ${staff ? staff.name : p.staffId}?`);
+        return await ctx.answerCallbackQuery({ text: "Enter the reason in chat." });
+      }
+      if (action === "fix") {
+        await ctx.api.sendMessage(uid, `Correct payment ${p.id}: how was it paid?`, {
+          reply_markup: paymentMethodKeyboard(`pled:fixm:${p.id}`)
+        });
+        return await ctx.answerCallbackQuery();
+      }
+      if (action === "fixm" && PAYMENT_METHODS[extra]) {
+        setSession(uid, { action: "pled_fix", step: 1, temp: { paymentId: p.id, method: extra } });
+        await ctx.api.sendMessage(uid, `Correct amount (currently ${fmtMoney(Number(p.amount))}):`);
+        return await ctx.answerCallbackQuery({ text: "Enter the amount in chat." });
+      }
+    }
+
     // 8) reminder done
+    // acknowledges one delivery; older messages carry the reminder id instead
     if (data.startsWith("remdone:")) {
       const id = data.split(":")[1];
       reloadDb();
-      const r = db.reminders.find(x => x.id === id);
-      if (r) {
-        r.done = true;
-        writeDbSync(db);
+      const h =
+        db.reminderHistory.find(x => x.id === id) ||
+        db.reminderHistory.filter(x => x.reminderId === id).pop();
+      if (h && !(h.recipients || []).includes(String(uid))) {
+        await ctx.answerCallbackQuery({ text: "This reminder wasn't sent to you.", show_alert: true });
+      } else if (h) {
+        if (!h.acks.some(a => a.by === String(uid))) {
+          h.acks.push({ by: String(uid), when: dayjs().toISOString() });
+          writeDbSync(db);
+          logAudit(uid, "reminder_done", `${h.reminderId}|${h.id}`);
+        }
         await ctx.answerCallbackQuery({ text: "Marked done." });
         await ctx.api.sendMessage(uid, `${E.ok} Reminder marked done.`);
-        logAudit(uid, "reminder_done", id);
       } else {
         await ctx.answerCallbackQuery({ text: "Reminder not found." });
       }
@@ -1254,8 +5260,8 @@ Badges: ${attStats.badgesText}
 
     // 9) admin menu extras
     if (data === "adm:partners") {
-      if (!isAdmin(uid)) {
-        await ctx.answerCallbackQuery({ text: "Not authorized", show_alert: true });
+      if (!can(uid, "partners.manage")) {
+        await ctx.answerCallbackQuery({ text: noPerm("partners.manage"), show_alert: true });
         return;
       }
       reloadDb();
@@ -1277,7 +5283,154 @@ Badges: ${attStats.badgesText}
     if (data === "adm:temp") {
       await ctx.answerCallbackQuery();
       return await ctx.editMessageText(
-        "Temporary admin:\n\nUse /admin to enter admin mode (for technical/config changes). Use /logout to return to your normal role.\n\nAdmin password is shared privately between owners.",
+        `Temporary admin:\n\nUse /admin to enter admin mode (for technical/config changes). Use /logout to return to your normal role.\n\nAccess expires after ${tempAdminSettings().ttlMinutes} min. ${tempAdminSettings().maxAttempts} wrong passwords in ${tempAdminSettings().windowMinutes} min lock /admin for ${tempAdminSettings().lockoutMinutes} min. Owners are notified of every grant and failure.\n\nAdmin password is shared privately between owners (change it with /setadminpass).`,
+        { reply_markup: new InlineKeyboard().text("⬅️ Back", "menu:admin") }
+      );
+    }
+
+    if (data === "adm:devices") {
+      if (!can(uid, "system.admin")) {
+        await ctx.answerCallbackQuery({ text: noPerm("system.admin"), show_alert: true });
+        return;
+      }
+      reloadDb();
+      const devices = Object.entries(db.heartbeats || {});
+      await ctx.answerCallbackQuery();
+      if (!devices.length) {
+        return await ctx.editMessageText(
+          "No devices have sent a heartbeat yet.\nPoint them at /heartbeat/<id>?secret=… and name them with /device.",
+          { reply_markup: new InlineKeyboard().text("⬅️ Back", "menu:admin") }
+        );
+      }
+      const lines = devices.map(([devId, dev]) => {
+        let state;
+        if (!dev.lastSeen) state = "⚪ waiting for first heartbeat";
+        else if (dev.status === "down") {
+          state = `🔴 DOWN for ${fmtMinutes(dayjs().diff(dayjs(dev.downSince), "minute", true))}`;
+        } else {
+          state = `🟢 up — seen ${fmtMinutes(dayjs().diff(dayjs(dev.lastSeen), "minute", true))} ago`;
+        }
+        const outage = dev.lastOutage
+          ? `${fmtMinutes(dev.lastOutage.minutes)} on ${dayjs(dev.lastOutage.from)
+              .tz("Asia/Kolkata")
+              .format("YYYY-MM-DD HH:mm")}`
+          : "none";
+        return `${deviceLabel(devId, dev)}\n${state}\nAlert after: ${deviceThreshold(dev)} min · Last outage: ${outage}`;
+      });
+      return await ctx.editMessageText(`💓 Devices\n\n${lines.join("\n\n")}`, {
+        reply_markup: new InlineKeyboard()
+          .text("🔄 Refresh", "adm:devices")
+          .row()
+          .text("⬅️ Back", "menu:admin")
+      });
+    }
+
+    // 10) backups / restore
+    if (data === "adm:backups" || data === "adm:backup_now") {
+      if (!can(uid, "system.admin")) {
+        await ctx.answerCallbackQuery({ text: noPerm("system.admin"), show_alert: true });
+        return;
+      }
+      if (data === "adm:backup_now") {
+        try {
+          const file = createBackup(db, "manual");
+          logAudit(uid, "db_backup", file);
+          await ctx.answerCallbackQuery({ text: `Backup saved: ${file}` });
+        } catch (e) {
+          console.error("manual backup err", e.message);
+          await ctx.answerCallbackQuery({ text: `Backup failed: ${e.message}`, show_alert: true });
+        }
+      } else {
+        await ctx.answerCallbackQuery();
+      }
+      const count = listBackups().length;
+      const kb = backupsKeyboard("menu:admin");
+      kb.row().text("💾 Backup now", "adm:backup_now");
+      return await ctx.editMessageText(
+        `💾 *Backups*\n${count} stored (keeps the newest ${(db.settings.backup || {}).keep || 28}).\nTap one to restore it.`,
+        { parse_mode: "Markdown", reply_markup: kb }
+      );
+    }
+
+    // role permission matrix
+    if (data.startsWith("perm:")) {
+      const [, action, role, perm] = data.split(":");
+      if (!isOwner(uid)) {
+        await ctx.answerCallbackQuery({ text: "Only owners can edit permissions.", show_alert: true });
+        return;
+      }
+      reloadDb();
+      if (action === "roles") {
+        await ctx.answerCallbackQuery();
+        return await ctx.editMessageText(
+          "🔑 Permissions\nOwners always have everything. Pick a role to edit (✏️ = customised).",
+          { reply_markup: permissionRolesKeyboard() }
+        );
+      }
+      if (!ROLES.includes(role) || role === "owner") {
+        await ctx.answerCallbackQuery({ text: "Unknown role", show_alert: true });
+        return;
+      }
+      if (action === "t") {
+        if (!PERMISSIONS[perm]) {
+          await ctx.answerCallbackQuery({ text: "Unknown permission", show_alert: true });
+          return;
+        }
+        const current = rolePermissions(role);
+        const granted = !current.includes(perm);
+        db.settings.permissions = db.settings.permissions || {};
+        db.settings.permissions[role] = granted
+          ? Object.keys(PERMISSIONS).filter(x => x === perm || current.includes(x))
+          : current.filter(x => x !== perm);
+        writeDbSync(db);
+        logAudit(uid, granted ? "perm_grant" : "perm_revoke", `${role}|${perm}`);
+        await ctx.answerCallbackQuery({ text: `${perm} ${granted ? "granted to" : "revoked from"} ${role}` });
+      } else if (action === "reset") {
+        if (db.settings.permissions) delete db.settings.permissions[role];
+        writeDbSync(db);
+        logAudit(uid, "perm_reset", role);
+        await ctx.answerCallbackQuery({ text: `${role} reset to defaults` });
+      } else {
+        await ctx.answerCallbackQuery();
+      }
+      const view = rolePermissionsView(role);
+      return await ctx.editMessageText(view.text, { reply_markup: view.kb });
+    }
+
+    if (data.startsWith("restore:")) {
+      const [, file, confirm] = data.split(":");
+      if (!can(uid, "system.admin")) {
+        await ctx.answerCallbackQuery({ text: noPerm("system.admin"), show_alert: true });
+        return;
+      }
+      if (!listBackups().find(b => b.file === file)) {
+        await ctx.answerCallbackQuery({ text: "Backup not found", show_alert: true });
+        return;
+      }
+      if (confirm !== "yes") {
+        await ctx.answerCallbackQuery();
+        return await ctx.editMessageText(
+          `♻️ Restore *${file}*?\n\nAll current data will be replaced by this backup. A copy of the current state is saved first.`,
+          {
+            parse_mode: "Markdown",
+            reply_markup: new InlineKeyboard()
+              .text("✅ Yes, restore", `restore:${file}:yes`)
+              .text("✖️ Cancel", "adm:backups")
+          }
+        );
+      }
+      let safety;
+      try {
+        safety = restoreBackup(file);
+      } catch (e) {
+        console.error("restore err", e.message);
+        await ctx.answerCallbackQuery({ text: `Restore failed: ${e.message}`, show_alert: true });
+        return;
+      }
+      logAudit(uid, "db_restored", `${file}|safety:${safety}`);
+      await ctx.answerCallbackQuery({ text: "Database restored." });
+      return await ctx.editMessageText(
+        `${E.ok} Database restored from ${file}.\nPrevious state saved as ${safety}.`,
         { reply_markup: new InlineKeyboard().text("⬅️ Back", "menu:admin") }
       );
     }
@@ -1293,22 +5446,100 @@ bot.on("message", async (ctx, next) => {
     const text = (ctx.message.text || "").trim();
     const session = getSession(ctx.from.id);
 
+    // punch_out: staff enters the time they left for an open punch
+    if (session && session.action === "punch_out") {
+      if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(text)) return await ctx.reply("Use HH:mm, e.g. 22:15");
+      reloadDb();
+      const staff = db.staff.find(s => String(s.id) === String(ctx.from.id));
+      const date = session.temp.date;
+      const rec = staff && (staff.attendance || {})[date];
+      clearSession(ctx.from.id);
+      if (!rec || !rec.in || rec.out) return await ctx.reply("That punch is already closed.");
+      const out = punchTime(staff, date, text, rec.in);
+      if (out.isAfter(dayjs())) return await ctx.reply("That time is in the future.");
+      rec.out = out.toISOString();
+      rec.outSource = "confirmed";
+      writeDbSync(db);
+      logAudit(ctx.from.id, "clockout_confirmed", `${date}|${rec.out}`);
+      return await ctx.reply(`${E.clock} Clocked out for ${date} at ${text} — ${metricsText(dayMetrics(staff, date))}`);
+    }
+
+    // review_fix: admin corrects in/out times of a flagged day
+    if (session && session.action === "review_fix") {
+      const m = text.match(/^(?:(\d{2}:\d{2})-)?(\d{2}:\d{2})$/);
+      const ok = t => !t || /^([01]\d|2[0-3]):[0-5]\d$/.test(t);
+      if (!m || !ok(m[1]) || !ok(m[2])) return await ctx.reply("Use HH:mm-HH:mm or HH:mm.");
+      reloadDb();
+      const { staffId, date } = session.temp;
+      const staff = db.staff.find(s => String(s.id) === String(staffId));
+      clearSession(ctx.from.id);
+      if (!staff) return await ctx.reply("Staff not found.");
+      staff.attendance = staff.attendance || {};
+      staff.attendance[date] = staff.attendance[date] || { in: null, out: null, status: null };
+      const rec = staff.attendance[date];
+      if (m[1]) rec.in = punchTime(staff, date, m[1]).toISOString();
+      if (!rec.in) return await ctx.reply("No clock-in on record — enter both times as HH:mm-HH:mm.");
+      rec.out = punchTime(staff, date, m[2], rec.in).toISOString();
+      rec.outSource = "admin";
+      rec.status = "present";
+      rec.reviewedAt = dayjs().toISOString();
+      rec.reviewedBy = String(ctx.from.id);
+      writeDbSync(db);
+      logAudit(ctx.from.id, "attendance_fix", `${staff.id}|${date}|${rec.in}|${rec.out}`);
+      return await ctx.reply(`${E.ok} ${staff.name} ${date}: ${metricsText(dayMetrics(staff, date))}`);
+    }
+
     // admin_login
     if (session && session.action === "admin_login") {
       const entered = text.trim();
-      clearSession(ctx.from.id);
-      if (entered === "7201") {
-        reloadDb();
-        db.sessions = db.sessions || {};
-        db.sessions[String(ctx.from.id)] = db.sessions[String(ctx.from.id)] || {};
-        db.sessions[String(ctx.from.id)].tempAdmin = true;
-        db.sessions[String(ctx.from.id)].tempAdminSince = dayjs().toISOString();
+      const uid = String(ctx.from.id);
+      clearSession(uid);
+      try {
+        await ctx.deleteMessage();
+      } catch (e) {
+        console.error("delete password msg err", e.message);
+      }
+      reloadDb();
+      db.sessions[uid] = db.sessions[uid] || {};
+      const sess = db.sessions[uid];
+      const cfg = tempAdminSettings();
+      const who = `${findPartner(uid)?.name || getStaff(uid)?.name || "Unknown"} (${uid})`;
+      if (sess.adminLockedUntil && dayjs().isBefore(dayjs(sess.adminLockedUntil))) {
+        return await ctx.reply(`${E.warn} /admin is locked for you right now.`);
+      }
+      if (verifyPassword(entered, adminPasswordHash())) {
+        const until = dayjs().add(cfg.ttlMinutes, "minute");
+        sess.tempAdmin = true;
+        sess.tempAdminSince = dayjs().toISOString();
+        sess.tempAdminUntil = until.toISOString();
+        delete sess.adminFails;
+        delete sess.adminLockedUntil;
         writeDbSync(db);
-        await ctx.reply("✅ Admin access granted for this session. Use /logout to drop admin access.");
-        logAudit(ctx.from.id, "temp_admin_granted", String(ctx.from.id));
+        await ctx.reply(
+          `✅ Admin access granted until ${until.tz("Asia/Kolkata").format("HH:mm")} (${cfg.ttlMinutes} min). Use /logout to drop it sooner.`
+        );
+        logAudit(uid, "temp_admin_granted", `${uid}|until:${sess.tempAdminUntil}`);
+        await notifyOwners(`🔐 Temp admin granted to ${who} until ${until.tz("Asia/Kolkata").format("HH:mm")}.`, uid);
+        return;
+      }
+      const windowStart = dayjs().subtract(cfg.windowMinutes, "minute");
+      sess.adminFails = (sess.adminFails || []).filter(t => dayjs(t).isAfter(windowStart));
+      sess.adminFails.push(dayjs().toISOString());
+      const attempts = sess.adminFails.length;
+      let locked = false;
+      if (attempts >= cfg.maxAttempts) {
+        sess.adminLockedUntil = dayjs().add(cfg.lockoutMinutes, "minute").toISOString();
+        sess.adminFails = [];
+        locked = true;
+      }
+      writeDbSync(db);
+      logAudit(uid, locked ? "temp_admin_locked" : "temp_admin_failed", `${uid}|attempt:${attempts}`);
+      if (locked) {
+        await ctx.reply(`❌ Incorrect password. Too many attempts — /admin is locked for ${cfg.lockoutMinutes} min.`);
+        await notifyOwners(`${E.warn} Temp admin LOCKED for ${who} after ${attempts} wrong passwords (${cfg.lockoutMinutes} min).`, uid);
       } else {
-        await ctx.reply("❌ Incorrect password. Admin access denied.");
-        logAudit(ctx.from.id, "temp_admin_failed", String(ctx.from.id));
+        await ctx.reply(`❌ Incorrect password. Admin access denied. (${cfg.maxAttempts - attempts} attempt(s) left)`);
+        await notifyOwners(`${E.warn} Failed temp admin login by ${who} (${attempts}/${cfg.maxAttempts}).`, uid);
       }
       return;
     }
@@ -1340,15 +5571,20 @@ bot.on("message", async (ctx, next) => {
         session.temp.joinedAt = joinedAt;
         session.step = 4;
         setSession(ctx.from.id, session);
-        return await ctx.reply("Add Employee — Step 4/4: Enter role: `staff`, `owner`, or `admin`");
+        return await ctx.reply(`Add Employee — Step 4/4: Enter role: ${ROLES.map(r => `\`${r}\``).join(", ")}`);
       }
       if (session.step === 4) {
         const role = text.toLowerCase();
-        if (!["staff", "owner", "admin"].includes(role)) {
-          return await ctx.reply("Role must be: `staff`, `owner`, or `admin`");
+        if (!ROLES.includes(role)) {
+          return await ctx.reply(`Role must be one of: ${ROLES.map(r => `\`${r}\``).join(", ")}`);
         }
         reloadDb();
         const id = String(session.temp.chatId);
+        // re-adding an existing user replaces their role, so both ends must be grantable
+        const blocked = [role, baseRoleOf(id)].find(r => r && !canGrantRole(ctx.from.id, r));
+        if (blocked) {
+          return await ctx.reply(`You can't grant or remove ${blocked} — it has permissions your role doesn't. Pick a different role.`);
+        }
         const name = session.temp.name;
         const joinedAt = session.temp.joinedAt || dayjs().format("YYYY-MM-DD");
         if (!db.partners.find(p => String(p.id) === id)) {
@@ -1405,7 +5641,7 @@ bot.on("message", async (ctx, next) => {
           session.action = "set_role";
           session.step = 1;
           setSession(ctx.from.id, session);
-          return await ctx.reply("Enter new role: `staff`, `owner`, or `admin`");
+          return await ctx.reply(`Enter new role: ${ROLES.map(r => `\`${r}\``).join(", ")}`);
         } else if (choice === "salary") {
           session.action = "setsalary_flow";
           session.step = 1;
@@ -1444,10 +5680,19 @@ bot.on("message", async (ctx, next) => {
     // set_role flow
     if (session && session.action === "set_role") {
       const role = text.toLowerCase();
-      if (!["staff", "owner", "admin"].includes(role)) {
-        return await ctx.reply("Role must be: `staff`, `owner`, or `admin`");
+      if (!ROLES.includes(role)) {
+        return await ctx.reply(`Role must be one of: ${ROLES.map(r => `\`${r}\``).join(", ")}`);
       }
       const staffId = session.temp.staffId;
+      if ((role === "owner" || baseRoleOf(staffId) === "owner") && !isOwner(ctx.from.id)) {
+        clearSession(ctx.from.id);
+        return await ctx.reply("Only an owner can grant or remove the owner role.");
+      }
+      const blocked = [role, baseRoleOf(staffId)].find(r => r && !canGrantRole(ctx.from.id, r));
+      if (blocked) {
+        clearSession(ctx.from.id);
+        return await ctx.reply(`You can't grant or remove ${blocked} — it has permissions your role doesn't.`);
+      }
       reloadDb();
       const staff = db.staff.find(s => String(s.id) === String(staffId));
       if (!staff) {
@@ -1583,6 +5828,11 @@ bot.on("message", async (ctx, next) => {
           _critical: false,
           _acknowledged: false
         });
+        const added = db.inventory[db.inventory.length - 1];
+        if (stock) {
+          added.stock = 0;
+          recordStockMovement(added, "adjustment", stock, ctx.from.id, { note: "opening stock" });
+        }
         writeDbSync(db);
         logAudit(ctx.from.id, "additem", `${session.temp.id}|${session.temp.name}|${stock}`);
         clearSession(ctx.from.id);
@@ -1596,7 +5846,7 @@ bot.on("message", async (ctx, next) => {
         session.temp.id = text; // could be id or name
         session.step = 2;
         setSession(ctx.from.id, session);
-        return await ctx.reply("Step 2/3: Enter quantity (number).");
+        return await ctx.reply("Step 2/4: Enter quantity (number).");
       }
       if (session.step === 2) {
         const q = Number(text);
@@ -1604,32 +5854,243 @@ bot.on("message", async (ctx, next) => {
         session.temp.qty = q;
         session.step = 3;
         setSession(ctx.from.id, session);
-        return await ctx.reply("Step 3/3: Enter unit or 'same'.");
+        return await ctx.reply("Step 3/4: Enter unit or 'same'.");
       }
       if (session.step === 3) {
-        const unit = text === "same" ? null : text;
+        session.temp.unit = text === "same" ? null : text;
+        session.step = 4;
+        setSession(ctx.from.id, session);
+        return await ctx.reply("Step 4/4: Enter cost per unit (number) or 'skip'.");
+      }
+      if (session.step === 4 || session.step === 5) {
+        if (session.step === 4) {
+          const cost = text.toLowerCase() === "skip" ? null : Number(text);
+          if (cost !== null && (isNaN(cost) || cost < 0)) {
+            return await ctx.reply("Enter cost per unit (number) or 'skip'.");
+          }
+          session.temp.unitCost = cost;
+        } else {
+          const expiry = parseExpiry(text);
+          if (!expiry) return await ctx.reply("Enter expiry as YYYY-MM-DD or days from today (e.g. 3).");
+          session.temp.expiry = expiry;
+        }
+        const unitCost = session.temp.unitCost;
+        const unit = session.temp.unit;
         reloadDb();
         const it = findInventoryItemFlexible(session.temp.id);
         if (!it) {
           clearSession(ctx.from.id);
           return await ctx.reply("Item not found. Tip: use /inventory to see IDs & names.");
         }
-        it.stock = (it.stock || 0) + Number(session.temp.qty);
+        if (it.trackBatches && session.step === 4) {
+          session.step = 5;
+          setSession(ctx.from.id, session);
+          return await ctx.reply(`Step 5/5: ${it.name} is tracked by batch — expiry date (YYYY-MM-DD) or days until expiry:`);
+        }
         if (unit) it.unit = unit;
-        it.lastUpdated = dayjs().toISOString();
-        // stock changed -> reset warning/critical/ack flags
-        it._warned = false;
-        it._critical = false;
-        it._acknowledged = false;
+        const extra = {};
+        if (unitCost) extra.unitCost = unitCost;
+        if (session.temp.expiry) extra.expiry = session.temp.expiry;
+        applyPurchase(it, session.temp.qty, ctx.from.id, extra);
         writeDbSync(db);
-        logAudit(ctx.from.id, "purchase", `${it.id}|${session.temp.qty}`);
+        logAudit(ctx.from.id, "purchase", `${it.id}|${session.temp.qty}|${unitCost || ""}`);
         clearSession(ctx.from.id);
+        const costText = unitCost
+          ? `\nPaid ${fmtMoney(unitCost * session.temp.qty)} · avg cost now ${fmtMoney(it.unitCost)}/${it.unit}`
+          : "";
+        const expiryText = session.temp.expiry ? `\nBatch expires ${session.temp.expiry}` : "";
         return await ctx.reply(
-          `${E.package} Purchase recorded: +${session.temp.qty} ${it.unit} to ${it.name}. Now ${it.stock} ${it.unit}`
+          `${E.package} Purchase recorded: +${session.temp.qty} ${it.unit} to ${it.name}. Now ${it.stock} ${it.unit}${costText}${expiryText}`
         );
       }
     }
 
+    // po_receive: unit costs, then stock in
+    if (session && session.action === "po_receive") {
+      reloadDb();
+      const po = db.purchaseOrders.find(x => x.id === session.temp.poId);
+      if (!po || po.status === "received") {
+        clearSession(ctx.from.id);
+        return await ctx.reply("Order not found or already received.");
+      }
+      let costs = [];
+      if (text.toLowerCase() !== "skip") {
+        costs = text.split(",").map(x => Number(x.trim()));
+        if (costs.length !== po.lines.length || costs.some(c => isNaN(c) || c < 0)) {
+          return await ctx.reply(`Enter ${po.lines.length} cost(s) separated by commas, or \`skip\`.`);
+        }
+      }
+      const got = receivePurchaseOrder(po, ctx.from.id, costs);
+      writeDbSync(db);
+      logAudit(ctx.from.id, "po_received", `${po.id}|${po.lines.length} line(s)`);
+      clearSession(ctx.from.id);
+      return await ctx.reply(`${E.package} Order received:\n${got.join("\n")}`);
+    }
+
+    // stocktake flow
+    if (session && session.action === "stocktake") {
+      const t = session.temp;
+      const lower = text.toLowerCase();
+      reloadDb();
+      if (lower !== "stop") {
+        const it = db.inventory.find(i => i.id === t.items[t.idx]);
+        if (it && lower !== "skip") {
+          const counted = Number(text);
+          if (isNaN(counted) || counted < 0) {
+            return await ctx.reply("Enter the counted quantity (number), `skip` or `stop`.");
+          }
+          const expected = Number(it.stock) || 0;
+          const variance = round2(counted - expected);
+          if (variance !== 0) {
+            const entry = recordStockMovement(it, "adjustment", variance, ctx.from.id, {
+              note: "stock-take",
+              stocktakeId: t.stId
+            });
+            it.stock = counted;
+            entry.stockAfter = counted;
+            it._warned = false;
+            it._critical = false;
+            it._acknowledged = false;
+          }
+          const cost = itemUnitCost(it);
+          t.lines.push({ itemId: it.id, expected, counted, variance, value: cost === null ? null : round2(variance * cost) });
+          writeDbSync(db);
+        }
+        t.idx++;
+        if (t.idx < t.items.length) {
+          setSession(ctx.from.id, session);
+          return await ctx.reply(stocktakePrompt(t), { parse_mode: "Markdown" });
+        }
+      }
+      const st = {
+        id: t.stId,
+        startedAt: t.startedAt,
+        finishedAt: dayjs().toISOString(),
+        by: String(ctx.from.id),
+        itemCount: t.items.length,
+        lines: t.lines
+      };
+      db.stocktakes.push(st);
+      writeDbSync(db);
+      logAudit(ctx.from.id, "stocktake", `${st.id}|${st.lines.length}/${st.itemCount}`);
+      clearSession(ctx.from.id);
+      return await ctx.reply(stocktakeReport(st), { parse_mode: "Markdown" });
+    }
+
+    // addsupplier flow
+    if (session && session.action === "addsupplier") {
+      if (session.step === 1) {
+        session.temp.name = text;
+        session.step = 2;
+        setSession(ctx.from.id, session);
+        return await ctx.reply("Step 2/6: Supplier Telegram chat_id (they must have started this bot), or `skip`:");
+      }
+      if (session.step === 2) {
+        session.temp.chatId = text.toLowerCase() === "skip" ? null : text;
+        session.step = 3;
+        setSession(ctx.from.id, session);
+        return await ctx.reply("Step 3/6: Phone number, or `skip`:");
+      }
+      if (session.step === 3) {
+        session.temp.phone = text.toLowerCase() === "skip" ? null : text;
+        session.step = 4;
+        setSession(ctx.from.id, session);
+        return await ctx.reply("Step 4/6: Items supplied — ids or names, comma separated:");
+      }
+      if (session.step === 4) {
+        const ids = [];
+        const missing = [];
+        for (const key of text.split(",").map(x => x.trim()).filter(Boolean)) {
+          const it = findInventoryItemFlexible(key);
+          if (it) ids.push(it.id);
+          else missing.push(key);
+        }
+        if (missing.length) return await ctx.reply(`Not found: ${missing.join(", ")}. Re-enter the list (see /inventory).`);
+        session.temp.items = ids;
+        session.step = 5;
+        setSession(ctx.from.id, session);
+        return await ctx.reply("Step 5/6: Lead time in days (number):");
+      }
+      if (session.step === 5) {
+        const d = Number(text);
+        if (isNaN(d) || d < 0) return await ctx.reply("Enter number of days.");
+        session.temp.leadTimeDays = d;
+        session.step = 6;
+        setSession(ctx.from.id, session);
+        return await ctx.reply("Step 6/6: Minimum order (e.g. `₹500` or `10 kg`), or `none`:");
+      }
+      if (session.step === 6) {
+        reloadDb();
+        const id = session.temp.name.replace(/\s+/g, "_").toLowerCase();
+        if (db.suppliers.find(sp => sp.id === id)) {
+          clearSession(ctx.from.id);
+          return await ctx.reply("Supplier id exists.");
+        }
+        db.suppliers.push({
+          id,
+          name: session.temp.name,
+          chatId: session.temp.chatId,
+          phone: session.temp.phone,
+          items: session.temp.items,
+          leadTimeDays: session.temp.leadTimeDays,
+          minOrder: text.toLowerCase() === "none" ? null : text,
+          createdAt: dayjs().toISOString()
+        });
+        writeDbSync(db);
+        logAudit(ctx.from.id, "addsupplier", `${id}|${session.temp.items.join(",")}`);
+        clearSession(ctx.from.id);
+        return await ctx.reply(`🏭 Supplier added: ${session.temp.name} (${id}) — ${session.temp.items.length} item(s).`);
+      }
+    }
+
+    // use flow (record consumption)
+    if (session && session.action === "use") {
+      if (session.step === 1) {
+        const it = findInventoryItemFlexible(text);
+        if (!it) return await ctx.reply("Item not found. Try again or /cancel. Tip: /inventory lists IDs & names.");
+        session.temp.id = it.id;
+        session.step = 2;
+        setSession(ctx.from.id, session);
+        return await ctx.reply(`Step 2/2: How much ${it.name} was used? (number, in ${it.unit})`);
+      }
+      if (session.step === 2) {
+        const q = Number(text);
+        if (isNaN(q) || q <= 0) return await ctx.reply("Enter a number greater than 0.");
+        const it = findInventoryItemFlexible(session.temp.id);
+        clearSession(ctx.from.id);
+        if (!it) return await ctx.reply("Item not found. Tip: use /inventory to see IDs & names.");
+        return await ctx.reply(recordUsage(it, q, String(ctx.from.id)));
+      }
+    }
+
+    // waste flow
+    if (session && session.action === "waste") {
+      if (session.step === 1) {
+        const it = findInventoryItemFlexible(text);
+        if (!it) return await ctx.reply("Item not found. Try again or /cancel. Tip: /inventory lists IDs & names.");
+        session.temp.id = it.id;
+        session.step = 2;
+        setSession(ctx.from.id, session);
+        return await ctx.reply(`Step 2/3: How much ${it.name} was wasted? (number, in ${it.unit})`);
+      }
+      if (session.step === 2) {
+        const q = Number(text);
+        if (isNaN(q) || q <= 0) return await ctx.reply("Enter a number greater than 0.");
+        session.temp.qty = q;
+        session.step = 3;
+        setSession(ctx.from.id, session);
+        return await ctx.reply(`Step 3/3: Reason? ${WASTE_REASONS.join(", ")}`);
+      }
+      if (session.step === 3) {
+        const reason = text.toLowerCase();
+        if (!WASTE_REASONS.includes(reason)) return await ctx.reply(`Reason must be one of: ${WASTE_REASONS.join(", ")}`);
+        const it = findInventoryItemFlexible(session.temp.id);
+        clearSession(ctx.from.id);
+        if (!it) return await ctx.reply("Item not found. Tip: use /inventory to see IDs & names.");
+        return await ctx.reply(wasteReply(it, session.temp.qty, reason, String(ctx.from.id)));
+      }
+    }
+
     // setusage flow (with flexible matching)
     if (session && session.action === "setusage") {
       if (session.step === 1) {
@@ -1648,6 +6109,7 @@ bot.on("message", async (ctx, next) => {
           return await ctx.reply("Item not found. Tip: use /inventory to see IDs & names.");
         }
         it.dailyUsage = u;
+        delete it.usagePattern; // a hand-set number replaces the learned pattern
         it.lastUpdated = dayjs().toISOString();
         // usage changed — reset flags so new warnings can be accurate
         it._warned = false;
@@ -1660,6 +6122,61 @@ bot.on("message", async (ctx, next) => {
       }
     }
 
+    // edit one field of a reminder from /myreminders
+    if (session && session.action === "rem_edit") {
+      reloadDb();
+      const r = db.reminders.find(x => x.id === session.temp.id && !x.done);
+      if (!r || !canManageReminder(ctx.from.id, r)) {
+        clearSession(ctx.from.id);
+        return await ctx.reply("Reminder not found.");
+      }
+      const field = session.temp.field;
+      if (field === "text") {
+        if (!text.trim()) return await ctx.reply("Enter reminder text.");
+        r.text = text.trim();
+      } else if (field === "time") {
+        const parsed = dayjs.tz(text, "YYYY-MM-DD HH:mm", REMINDER_TZ);
+        if (!parsed.isValid()) return await ctx.reply("Invalid. Use YYYY-MM-DD HH:MM");
+        const when = alignOccurrence(reminderRule(r), parsed);
+        if (!when) return await ctx.reply("That time never matches the repeat rule.");
+        r.when = when.toISOString();
+        delete r.snoozedUntil;
+      } else if (field === "target") {
+        const who = text.trim().toLowerCase();
+        const target = who === "me" ? String(ctx.from.id) : who === "all" ? "all" : text.trim();
+        if (target !== String(ctx.from.id) && !can(ctx.from.id, "reminders.broadcast")) {
+          return await ctx.reply(`${noPerm("reminders.broadcast")} Reply \`me\` to remind yourself.`);
+        }
+        r.target = target;
+      } else if (field === "repeat") {
+        const rule = parseRecurrence(text);
+        if (!rule) return await ctx.reply("Didn't get that. Try `daily`, `weekly mon,thu`, `monthly last until 2026-12-31`.");
+        const when = alignOccurrence(rule, r.when);
+        if (!when) return await ctx.reply("That rule never fires. Try another.");
+        r.rule = rule;
+        delete r.repeat;
+        r.when = when.toISOString();
+        r.sent = 0;
+        delete r.snoozedUntil;
+      } else if (field === "escalate") {
+        const [mins, times] = text.trim().toLowerCase().split(/\s+/);
+        if (mins === "off") delete r.escalation;
+        else {
+          const minutes = Number(mins);
+          const resends = times === undefined ? 1 : Number(times);
+          if (!Number.isInteger(minutes) || minutes < 1 || !Number.isInteger(resends) || resends < 0 || resends > 5) {
+            return await ctx.reply("Reply minutes and optional re-send count, e.g. `30` or `30 2`, or `off`.");
+          }
+          r.escalation = { minutes, resends };
+        }
+      }
+      writeDbSync(db);
+      logAudit(ctx.from.id, "reminder_edit", `${r.id}|${field}|${text}`);
+      clearSession(ctx.from.id);
+      const v = reminderView(r, ctx.from.id);
+      return await ctx.reply(`${E.ok} Reminder updated.\n\n${v.text}`, { reply_markup: v.kb });
+    }
+
     // addreminder flow
     if (session && session.action === "addreminder") {
       if (session.step === 1) {
@@ -1667,6 +6184,9 @@ bot.on("message", async (ctx, next) => {
         if (who === "me") session.temp.target = String(ctx.from.id);
         else if (who === "all") session.temp.target = "all";
         else session.temp.target = text;
+        if (session.temp.target !== String(ctx.from.id) && !can(ctx.from.id, "reminders.broadcast")) {
+          return await ctx.reply(`${noPerm("reminders.broadcast")} Reply \`me\` to remind yourself.`);
+        }
         session.step = 2;
         setSession(ctx.from.id, session);
         return await ctx.reply("Step 2/4: Enter reminder text (short):");
@@ -1683,37 +6203,66 @@ bot.on("message", async (ctx, next) => {
         session.temp.when = parsed.toISOString();
         session.step = 4;
         setSession(ctx.from.id, session);
-        return await ctx.reply("Step 4/4: Repeat? reply 'once' or 'daily':");
+        return await ctx.reply(
+          "Step 4/4: Repeat? `once`, `daily`, `weekdays`, `every 3 days`, `every 2 hours`, `weekly mon,thu`, " +
+            "`monthly 15` or `monthly last` — optionally add `until YYYY-MM-DD` or `5 times`."
+        );
       }
       if (session.step === 4) {
-        const rep = text.toLowerCase();
-        if (!(rep === "once" || rep === "daily")) return await ctx.reply("Reply 'once' or 'daily'.");
-        session.temp.repeat = rep;
+        const rule = parseRecurrence(text);
+        if (!rule) return await ctx.reply("Didn't get that. Try `daily`, `weekly mon,thu`, `monthly last until 2026-12-31`.");
+        const when = alignOccurrence(rule, session.temp.when);
+        if (!when) return await ctx.reply("That rule never fires. Try another.");
         reloadDb();
-        const id = `r${Date.now()}`;
-        db.reminders.push({
-          id,
-          createdBy: String(ctx.from.id),
-          target: session.temp.target,
-          text: session.temp.text,
-          when: session.temp.when,
-          repeat: session.temp.repeat
-        });
-        writeDbSync(db);
-        logAudit(
-          ctx.from.id,
-          "addreminder",
-          `${id}|${session.temp.target}|${session.temp.text}|${session.temp.when}|${session.temp.repeat}`
-        );
+        saveReminder(ctx.from.id, { target: session.temp.target, text: session.temp.text, when, rule });
         clearSession(ctx.from.id);
+        const next = upcomingOccurrences(rule, when, 0, 3).map(t => t.tz(REMINDER_TZ).format("ddd DD MMM HH:mm"));
         return await ctx.reply(
-          `${E.calendar} Reminder saved: ${session.temp.text} at ${dayjs(session.temp.when)
-            .tz("Asia/Kolkata")
-            .format("YYYY-MM-DD HH:mm")} repeat: ${session.temp.repeat}`
+          `${E.calendar} Reminder saved: ${session.temp.text} — ${recurrenceText(rule)}\nNext: ${next.join(" · ")}`
         );
       }
     }
 
+    // payment ledger: void (reason)
+    if (session && session.action === "pled_void") {
+      const reason = text.trim();
+      if (!reason) return await ctx.reply("Enter a reason.");
+      reloadDb();
+      const p = db.payments.find(x => x.id === session.temp.paymentId);
+      clearSession(ctx.from.id);
+      if (!p || p.voided) return await ctx.reply("Payment not found or already void.");
+      p.voided = { by: String(ctx.from.id), when: dayjs().toISOString(), reason };
+      writeDbSync(db);
+      logAudit(ctx.from.id, "pay_void", `${p.id}|${p.staffId}|${p.amount}|${reason}`);
+      return await ctx.reply(`${E.cancel} Payment ${p.id} (${fmtMoney(Number(p.amount))}) voided.`);
+    }
+
+    // payment ledger: correct (amount, then reason)
+    if (session && session.action === "pled_fix") {
+      if (session.step === 1) {
+        const amt = Number(text);
+        if (isNaN(amt) || amt < 0) return await ctx.reply("Enter numeric amount.");
+        setSession(ctx.from.id, { action: "pled_fix", step: 2, temp: { ...session.temp, amount: amt } });
+        return await ctx.reply("Reason for the correction?");
+      }
+      if (session.step === 2) {
+        const reason = text.trim();
+        if (!reason) return await ctx.reply("Enter a reason.");
+        reloadDb();
+        const p = db.payments.find(x => x.id === session.temp.paymentId);
+        clearSession(ctx.from.id);
+        if (!p || p.voided) return await ctx.reply("Payment not found or already void.");
+        p.history = p.history || [];
+        p.history.push({ amount: p.amount, method: p.method, by: String(ctx.from.id), when: dayjs().toISOString(), reason });
+        const before = `${p.amount}|${p.method || ""}`;
+        p.amount = session.temp.amount;
+        p.method = session.temp.method;
+        writeDbSync(db);
+        logAudit(ctx.from.id, "pay_correct", `${p.id}|${p.staffId}|${before}->${p.amount}|${p.method}|${reason}`);
+        return await ctx.reply(`${E.ok} Payment ${p.id} corrected to ${fmtMoney(Number(p.amount))} (${PAYMENT_METHODS[p.method]}).`);
+      }
+    }
+
     // pay_partial
     if (session && session.action === "pay_partial") {
       if (session.step === 1) {
@@ -1722,16 +6271,19 @@ bot.on("message", async (ctx, next) => {
         const staffId = session.temp.staffId;
         reloadDb();
         const staff = db.staff.find(s => String(s.id) === String(staffId));
+        const id = `pay${Date.now()}`;
         db.payments = db.payments || [];
         db.payments.push({
+          id,
           staffId: String(staffId),
           amount: amt,
           when: dayjs().toISOString(),
+          method: session.temp.method,
           recordedBy: String(ctx.from.id),
           note: "partial"
         });
         writeDbSync(db);
-        logAudit(ctx.from.id, "pay_partial", `${staffId}|${amt}`);
+        logAudit(ctx.from.id, "pay_partial", `${id}|${staffId}|${amt}|${session.temp.method}`);
         clearSession(ctx.from.id);
         return await ctx.reply(
           `${E.partial} Recorded partial payment of ${amt} for ${staff ? staff.name : staffId}.`
@@ -1749,33 +6301,30 @@ bot.on("message", async (ctx, next) => {
   }
 });
 
-// send veg confirm
-async function sendVegConfirmForDate(date) {
+// send a tracked confirmation for one occurrence of a schedule
+async function sendConfirmation(s, occ) {
   reloadDb();
-  const s = db.schedules.find(x => x.id === "vegetables");
-  if (!s) return;
-  for (const p of db.partners || []) {
-    const existing =
-      db.pendingConfirmations &&
-      db.pendingConfirmations[date] &&
-      db.pendingConfirmations[date][p.id];
+  const conf = scheduleConfirm(s);
+  if (!conf) return;
+  const key = `${s.id}|${occ}`;
+  for (const pid of confirmRecipients(conf.assignee)) {
+    const existing = db.pendingConfirmations[key] && db.pendingConfirmations[key][pid];
     if (existing && existing.status === "confirmed") continue;
     const text =
-      `${E.calendar} *Vegetable check for ${date}*\n\n` +
+      `${E.calendar} *${s.label} — ${occ}*\n\n` +
       `${s.message}\n\nPlease confirm below.`;
     try {
-      await bot.api.sendMessage(String(p.id), text, {
+      await bot.api.sendMessage(pid, text, {
         parse_mode: "Markdown",
-        reply_markup: vegKeyboard(date)
+        reply_markup: confirmKeyboard(s.id, occ)
       });
     } catch (e) {
-      console.error("veg send err", e.message);
+      console.error("confirmation send err", e.message);
     }
     if (!existing) {
       reloadDb();
-      db.pendingConfirmations = db.pendingConfirmations || {};
-      db.pendingConfirmations[date] = db.pendingConfirmations[date] || {};
-      db.pendingConfirmations[date][p.id] = {
+      db.pendingConfirmations[key] = db.pendingConfirmations[key] || {};
+      db.pendingConfirmations[key][pid] = {
         status: "pending",
         lastUpdated: dayjs().toISOString(),
         nextCheck: null
@@ -1786,7 +6335,20 @@ async function sendVegConfirmForDate(date) {
 }
 
 // scheduler
-bot.start({ onStart: () => console.log("Bot started (polling).") });
+bot.start({
+  onStart: async () => {
+    console.log("Bot started (polling).");
+    for (const note of storageNotices) {
+      for (const p of db.partners.filter(x => x.role === "owner")) {
+        try {
+          await bot.api.sendMessage(String(p.id), note);
+        } catch (e) {
+          console.error("storage notice err", e.message);
+        }
+      }
+    }
+  }
+});
 
 setInterval(async () => {
   try {
@@ -1794,34 +6356,57 @@ setInterval(async () => {
     const partners = db.partners || [];
     const schedules = db.schedules || [];
 
+    // temp admin expiry
+    for (const [sid, sess] of Object.entries(db.sessions || {})) {
+      if (!sess.tempAdmin || tempAdminActive(sess)) continue;
+      revokeTempAdmin(sess);
+      writeDbSync(db);
+      logAudit("system", "temp_admin_expired", sid);
+      try {
+        await bot.api.sendMessage(sid, `${E.clock} Temporary admin expired — back to your normal role.`);
+      } catch (e) {
+        console.error("temp admin expiry err", e.message);
+      }
+    }
+
     // Schedules
     for (const s of schedules) {
       for (const p of partners) {
         try {
           const tz = p.tz || "Asia/Kolkata";
           const nowTz = dayjs().tz(tz);
-          const [hh, mm] = (s.time || "00:00").split(":").map(Number);
-          if (nowTz.hour() === hh && nowTz.minute() === mm) {
-            const key = `${s.id}__${p.id}`;
-            const lastSentIso = db.lastSent[key];
-            const lastSentDay = lastSentIso
-              ? dayjs(lastSentIso).tz(tz).format("YYYY-MM-DD")
-              : null;
-            const today = nowTz.format("YYYY-MM-DD");
-            if (lastSentDay === today) continue;
-            if (s.id === "vegetables") {
-              const bizDate = dayjs().tz("Asia/Kolkata").format("YYYY-MM-DD");
-              await sendVegConfirmForDate(bizDate);
+          const key = `${s.id}__${p.id}`;
+          const { rule, due, skipped } = scheduleNext(s, db.lastSent[key], tz);
+          if (skipped) {
+            db.lastSent[key] = skipped.toISOString();
+            writeDbSync(db);
+          }
+          const occurrence = due && due.toISOString();
+          const ended = rule.until && due && due.tz(tz).format("YYYY-MM-DD") > rule.until;
+          const used = rule.count && (s.occurrences || 0) >= rule.count && s.lastOccurrence !== occurrence;
+          if (due && !due.isAfter(nowTz) && !ended && !used) {
+            if (s.lastOccurrence !== occurrence) {
+              s.lastOccurrence = occurrence;
+              s.occurrences = (s.occurrences || 0) + 1;
+            }
+            if (scheduleConfirm(s)) {
+              // one confirmation per occurrence: the date, or date + time for hourly schedules
+              const occ = due.tz("Asia/Kolkata").format(rule.type === "hours" ? "YYYY-MM-DD_HHmm" : "YYYY-MM-DD");
+              await sendConfirmation(s, occ);
               for (const pp of partners) {
-                db.lastSent[`${s.id}__${pp.id}`] = dayjs().toISOString();
+                db.lastSent[`${s.id}__${pp.id}`] = occurrence;
               }
               writeDbSync(db);
             } else {
               const text =
                 `${E.calendar} *${s.label}*\n\n${s.message}\n\n` +
                 `Local: ${nowTz.format("YYYY-MM-DD HH:mm (z)")}`;
-              await bot.api.sendMessage(String(p.id), text, { parse_mode: "Markdown" });
-              db.lastSent[key] = dayjs().toISOString();
+              const opts = { parse_mode: "Markdown" };
+              if (s.kind === "stocktake") {
+                opts.reply_markup = new InlineKeyboard().text("📋 Start stock-take", "st:start");
+              }
+              await bot.api.sendMessage(String(p.id), text, opts);
+              db.lastSent[key] = occurrence;
               writeDbSync(db);
             }
           }
@@ -1831,87 +6416,105 @@ setInterval(async () => {
       }
     }
 
-    // veg followups & escalation
+    // checklist follow-ups & escalation
     const pending = db.pendingConfirmations || {};
-    for (const date of Object.keys(pending)) {
-      for (const pid of Object.keys(pending[date])) {
-        const rec = pending[date][pid];
+    for (const key of Object.keys(pending)) {
+      const [sid, occ] = key.split("|");
+      const sched = db.schedules.find(x => x.id === sid);
+      const conf = scheduleConfirm(sched) || scheduleConfirm({ id: "vegetables" });
+      const label = sched ? sched.label : sid;
+      for (const pid of Object.keys(pending[key])) {
+        const rec = pending[key][pid];
         if (!rec) continue;
         if (rec.status === "confirmed") {
-          delete pending[date][pid];
+          delete pending[key][pid];
           writeDbSync(db);
           continue;
         }
         if (!rec.nextCheck) {
-          db.pendingConfirmations[date][pid].nextCheck = dayjs()
-            .add(db.settings.vegConfirm.followupMinutes1, "minute")
+          rec.nextCheck = dayjs()
+            .add(conf.followupMinutes1, "minute")
             .toISOString();
           writeDbSync(db);
           continue;
         }
         if (dayjs(rec.nextCheck).isBefore(dayjs())) {
-          const partner = findPartner(pid);
-          if (!partner) {
-            delete pending[date][pid];
+          const who = findPartner(pid) || db.staff.find(x => String(x.id) === String(pid));
+          if (!who) {
+            delete pending[key][pid];
             writeDbSync(db);
             continue;
           }
-          if (rec.status === "notyet") {
+          if (rec.status === "notyet" || rec.status === "pending") {
             await bot.api.sendMessage(
               String(pid),
-              `Reminder: please confirm veg list for ${date}.`,
-              { reply_markup: vegKeyboard(date) }
+              `Reminder: please confirm ${label} for ${occ}.`,
+              { reply_markup: confirmKeyboard(sid, occ) }
             );
-            db.pendingConfirmations[date][pid].nextCheck = dayjs()
-              .add(db.settings.vegConfirm.followupMinutes1, "minute")
+            rec.nextCheck = dayjs()
+              .add(conf.followupMinutes1, "minute")
               .toISOString();
             writeDbSync(db);
           } else if (rec.status === "no") {
             const last = dayjs(rec.lastUpdated);
             const minutesSince = dayjs().diff(last, "minute");
-            if (minutesSince < db.settings.vegConfirm.followupMinutes2) {
+            if (minutesSince < conf.followupMinutes2) {
               await bot.api.sendMessage(
                 String(pid),
-                `Reminder: still no veg list for ${date}. Please send now or confirm when sent.`
+                `Reminder: ${label} still not done for ${occ}. Please do it now and confirm.`,
+                { reply_markup: confirmKeyboard(sid, occ) }
               );
-              db.pendingConfirmations[date][pid].nextCheck = dayjs()
-                .add(db.settings.vegConfirm.followupMinutes2, "minute")
+              rec.nextCheck = dayjs()
+                .add(conf.followupMinutes2, "minute")
                 .toISOString();
               writeDbSync(db);
             } else {
-              for (const o of db.partners) {
-                await bot.api.sendMessage(
-                  String(o.id),
-                  `${E.warn} URGENT: Veg list still NOT received for ${date} from ${
-                    partner.name || pid
-                  }.`
-                );
+              for (const o of confirmRecipients(conf.escalateTo)) {
+                try {
+                  await bot.api.sendMessage(
+                    o,
+                    `${E.warn} URGENT: ${label} still NOT done for ${occ} — ${who.name || pid}.`
+                  );
+                } catch (e) {
+                  console.error("checklist escalation err", e.message);
+                }
               }
-              delete pending[date][pid];
+              logAudit("system", "checklist_escalated", `${sid}|${occ}|${pid}`);
+              delete pending[key][pid];
               writeDbSync(db);
             }
-          } else if (rec.status === "pending") {
-            db.pendingConfirmations[date][pid].nextCheck = dayjs()
-              .add(db.settings.vegConfirm.followupMinutes1, "minute")
-              .toISOString();
-            writeDbSync(db);
           }
         }
       }
+      if (!Object.keys(pending[key]).length) {
+        delete pending[key];
+        writeDbSync(db);
+      }
     }
 
     // reminders
     const now = dayjs();
     for (const r of db.reminders || []) {
-      if (r.done) continue;
-      const when = dayjs(r.when);
+      if (r.done || r.paused) continue;
+      const when = reminderFireAt(r);
       if (when.isBefore(now.add(1, "minute"))) {
         let targets = [];
         if (r.target === "all") targets = db.partners.map(p => String(p.id));
         else targets = [String(r.target)];
+        const h = {
+          id: `rh${Date.now()}_${r.id}`,
+          reminderId: r.id,
+          text: r.text,
+          createdBy: r.createdBy,
+          recipients: [],
+          sentAt: now.toISOString(),
+          acks: [],
+          escalation: r.escalation || null,
+          resends: 0
+        };
         for (const t of targets) {
           try {
-            const kb = new InlineKeyboard().text(`${E.ok} Done`, `remdone:${r.id}`);
+            const kb = reminderDeliveryKeyboard(r.id, h.id);
             await bot.api.sendMessage(
               t,
               `${E.calendar} *Reminder*\n${r.text}\nAt: ${when
@@ -1919,22 +6522,116 @@ setInterval(async () => {
                 .format("YYYY-MM-DD HH:mm")}`,
               { parse_mode: "Markdown", reply_markup: kb }
             );
+            h.recipients.push(t);
           } catch (e) {
             console.error("reminder send err", e.message);
           }
         }
-        if (r.repeat === "daily") {
-          r.when = dayjs(r.when).add(1, "day").toISOString();
-        } else {
+        db.reminderHistory.push(h);
+        const rule = reminderRule(r);
+        r.sent = (r.sent || 0) + 1;
+        delete r.snoozedUntil;
+        // skip occurrences missed while the bot was down
+        let next = nextOccurrence(rule, r.when);
+        for (let i = 0; next && !next.isAfter(now) && i < 10000; i++) next = nextOccurrence(rule, next);
+        if (recurrenceEnded(rule, r.sent, next)) {
           r.done = true;
-        }
+          r.doneAt = now.toISOString();
+        } else r.when = next.toISOString();
         writeDbSync(db);
         logAudit("system", "reminder_sent", `${r.id}|${r.text}`);
       }
     }
-    db.reminders = (db.reminders || []).filter(r => !r.done);
+    // finished reminders stay a week so snooze buttons on delivered messages keep working
+    db.reminders = (db.reminders || []).filter(r => !r.done || now.diff(dayjs(r.doneAt || r.when), "day") < 7);
+    writeDbSync(db);
+
+    // reminder escalation: re-send unacknowledged deliveries, then alert owners
+    for (const h of db.reminderHistory) {
+      if (h.acks.length || h.escalatedAt || !h.escalation || !h.recipients.length) continue;
+      if (now.diff(dayjs(h.lastSentAt || h.sentAt), "minute") < h.escalation.minutes) continue;
+      if (h.resends < h.escalation.resends) {
+        for (const t of h.recipients) {
+          try {
+            await bot.api.sendMessage(t, `${E.clock} *Reminder — not done yet*\n${h.text}`, {
+              parse_mode: "Markdown",
+              reply_markup: reminderDeliveryKeyboard(h.reminderId, h.id)
+            });
+          } catch (e) {
+            console.error("reminder resend err", e.message);
+          }
+        }
+        h.resends += 1;
+        h.lastSentAt = now.toISOString();
+        writeDbSync(db);
+        logAudit("system", "reminder_resent", `${h.reminderId}|${h.id}|${h.resends}`);
+      } else {
+        h.escalatedAt = now.toISOString();
+        writeDbSync(db);
+        await notifyOwners(
+          `${E.warn} URGENT: reminder "${h.text}" sent ${dayjs(h.sentAt).tz(REMINDER_TZ).format("DD MMM HH:mm")} ` +
+            `to ${h.recipients.map(reminderTargetText).join(", ")} is still not marked done.`
+        );
+        logAudit("system", "reminder_escalated", `${h.reminderId}|${h.id}`);
+      }
+    }
+    // delivery log keeps 90 days
+    db.reminderHistory = db.reminderHistory.filter(h => now.diff(dayjs(h.sentAt), "day") < 90);
     writeDbSync(db);
 
+    // open punches & missed punches
+    const tk = timekeeping();
+    for (const s of db.staff || []) {
+      if (s.onHold || !s.attendance) continue;
+      const tz = s.tz || "Asia/Kolkata";
+      const todayKey = dayjs().tz(tz).format("YYYY-MM-DD");
+      const fromKey = dayjs().tz(tz).subtract(tk.reviewDays, "day").format("YYYY-MM-DD");
+      for (const [date, rec] of Object.entries(s.attendance)) {
+        if (date < fromKey) continue;
+        if (rec.status === "present" && !rec.in && date < todayKey && !(rec.flags || []).includes("no_punch") && !rec.reviewedAt) {
+          flagDay(rec, "no_punch");
+          writeDbSync(db);
+          continue;
+        }
+        if (!rec.in || rec.out) continue;
+        const end = expectedOut(s, date);
+        const overdue = dayjs().diff(end, "minute");
+        try {
+          if (overdue >= tk.autoCloseMinutes) {
+            rec.out = end.toISOString();
+            rec.outSource = "auto";
+            flagDay(rec, "auto_closed");
+            writeDbSync(db);
+            logAudit("system", "clockout_auto", `${s.id}|${date}|${rec.out}`);
+            await bot.api.sendMessage(
+              String(s.id),
+              `${E.warn} You didn't clock out on ${date} — closed at ${end.tz(tz).format("HH:mm")} and sent for review.`
+            );
+            for (const id of usersWithPermission("attendance.mark")) {
+              await bot.api.sendMessage(id, `🚩 Auto clock-out: ${s.name} on ${date} at ${end.tz(tz).format("HH:mm")}. /review`);
+            }
+          } else if (
+            overdue >= tk.punchReminderMinutes &&
+            (!rec.outPrompted || dayjs().diff(dayjs(rec.outPrompted), "minute") >= 60)
+          ) {
+            rec.outPrompted = dayjs().toISOString();
+            writeDbSync(db);
+            await bot.api.sendMessage(
+              String(s.id),
+              `${E.clock} You're still clocked in for ${date} (expected out ${end.tz(tz).format("HH:mm")}). When did you leave?`,
+              {
+                reply_markup: new InlineKeyboard()
+                  .text(`Left at ${end.tz(tz).format("HH:mm")}`, `punch:end:${date}`)
+                  .text("✏️ Other time", `punch:time:${date}`)
+              }
+            );
+          }
+        } catch (e) {
+          console.error("punch reconcile err", e.message);
+        }
+      }
+    }
+
     // attendance prompt (12:00 IST)
     const attTime = db.settings.attendancePromptTime || "12:00";
     const [attH, attM] = attTime.split(":").map(Number);
@@ -1944,9 +6641,15 @@ setInterval(async () => {
       if (!db.lastSent[key]) {
         for (const s of db.staff || []) {
           if (s.onHold) continue;
+          const todayRec = (s.attendance || {})[bizNow.format("YYYY-MM-DD")];
+          if (todayRec && todayRec.status === "leave" && todayRec.leaveId) continue; // approved leave
+          // shiftFor knows about swaps, so an approved swap decides the day even without a weekly roster
+          const swapped = (s.rosterOverrides || {})[bizNow.format("YYYY-MM-DD")];
+          if ((hasRoster(s) || swapped) && !shiftFor(s, bizNow.format("YYYY-MM-DD"))) continue; // not on shift today
           try {
             const kb = attendanceKeyboard(s.id);
             for (const p of db.partners) {
+              if (!can(p.id, "attendance.mark")) continue;
               await bot.api.sendMessage(
                 String(p.id),
                 `${E.clock} Attendance: Did *${s.name}* come to work today?`,
@@ -1972,6 +6675,7 @@ setInterval(async () => {
           if (s.onHold) continue;
           if (s.salaryType === "daily") {
             for (const p of db.partners) {
+              if (!can(p.id, "payroll.pay")) continue;
               try {
                 await bot.api.sendMessage(
                   String(p.id),
@@ -2001,6 +6705,7 @@ setInterval(async () => {
         const keyBefore = `monthly_reminder_before__${s.id}__${payMoment.format("YYYY-MM")}`;
         if (daysUntil === mdaysBefore && !db.lastSent[keyBefore]) {
           for (const p of db.partners) {
+            if (!can(p.id, "payroll.view")) continue;
             await bot.api.sendMessage(
               String(p.id),
               `${E.calendar} Reminder: Payday for ${s.name} is in ${mdaysBefore} day(s) on ${payMoment.format(
@@ -2014,6 +6719,7 @@ setInterval(async () => {
         const keyPayday = `monthly_reminder_payday__${s.id}__${payMoment.format("YYYY-MM")}`;
         if (bizNow.isSame(payMoment, "day") && !db.lastSent[keyPayday]) {
           for (const p of db.partners) {
+            if (!can(p.id, "payroll.pay")) continue;
             await bot.api.sendMessage(
               String(p.id),
               `${E.money} Payday today for ${s.name} — Amount: ${s.salaryAmount}. Mark payment:`,
@@ -2026,6 +6732,143 @@ setInterval(async () => {
       }
     }
 
+    // end-of-day auto deduction: only the part of dailyUsage not already recorded via /use
+    const autoTime = (db.settings.inventory || {}).autoDeductTime || "23:55";
+    const [adH, adM] = autoTime.split(":").map(Number);
+    if (bizNow.hour() === adH && bizNow.minute() === adM) {
+      const bizDate = bizNow.format("YYYY-MM-DD");
+      const key = `autodeduct__${bizDate}`;
+      if (!db.lastSent[key]) {
+        let count = 0;
+        for (const item of db.inventory || []) {
+          if (!item.autoDeduct || !(item.dailyUsage > 0)) continue;
+          const remaining = item.dailyUsage - usageRecordedOn(item.id, bizDate);
+          if (remaining <= 0) continue;
+          if (deductUsage(item, remaining, "system", { auto: true, note: `end of day ${bizDate}` })) count++;
+        }
+        db.lastSent[key] = dayjs().toISOString();
+        writeDbSync(db);
+        if (count) logAudit("system", "auto_deduct", `${bizDate}|${count} item(s)`);
+      }
+    }
+
+    // expiry alerts: once per batch for "tomorrow" and once for "expired"
+    const expTime = (db.settings.inventory || {}).expiryCheckTime || "09:00";
+    const [exH, exM] = expTime.split(":").map(Number);
+    if (bizNow.hour() === exH && bizNow.minute() === exM) {
+      const today = bizNow.format("YYYY-MM-DD");
+      const tomorrow = bizNow.add(1, "day").format("YYYY-MM-DD");
+      for (const item of db.inventory || []) {
+        if (!item.trackBatches) continue;
+        for (const b of item.batches || []) {
+          if (!b.expiry || b.qty <= 0) continue;
+          let state = null;
+          if (b.expiry <= today) state = "expired";
+          else if (b.expiry === tomorrow) state = "tomorrow";
+          if (!state || b._alerted === state) continue;
+          const txt =
+            state === "expired"
+              ? `${E.critical} *Expired${b.expiry === today ? " today" : ""}*: ${item.name}\n` +
+                `${b.qty} ${item.unit} (expiry ${b.expiry}). Use, discard or write off.`
+              : `${E.warn} *Expiring tomorrow*: ${item.name}\n` +
+                `${b.qty} ${item.unit} (expiry ${b.expiry}). Use it first.`;
+          for (const p of db.partners) {
+            try {
+              await bot.api.sendMessage(String(p.id), txt, {
+                parse_mode: "Markdown",
+                reply_markup: expiryKeyboard(item.id, b.id)
+              });
+            } catch (e) {
+              console.error("expiry alert err", e.message);
+            }
+          }
+          b._alerted = state;
+          delete b._ackBy;
+          writeDbSync(db);
+          logAudit("system", "expiry_alert", `${item.id}|${b.id}|${state}`);
+        }
+      }
+    }
+
+    // weekly waste summary to partners
+    const wasteCfg = (db.settings.inventory || {}).wasteSummary || {};
+    const wsDay = typeof wasteCfg.weekday === "number" ? wasteCfg.weekday : 1;
+    const [wsH, wsM] = (wasteCfg.time || "10:00").split(":").map(Number);
+    if (bizNow.day() === wsDay && bizNow.hour() === wsH && bizNow.minute() === wsM) {
+      const key = `waste_summary__${bizNow.format("YYYY-MM-DD")}`;
+      if (!db.lastSent[key]) {
+        const to = bizNow.startOf("day");
+        const sum = getWasteSummary(to.subtract(7, "day"), to);
+        if (sum.count) {
+          const txt = wasteSummaryText(
+            `Weekly waste ${to.subtract(7, "day").format("MM-DD")} → ${to.subtract(1, "day").format("MM-DD")}`,
+            sum
+          );
+          for (const p of db.partners) {
+            try {
+              await bot.api.sendMessage(String(p.id), txt);
+            } catch (e) {
+              console.error("waste summary send err", e.message);
+            }
+          }
+        }
+        db.lastSent[key] = dayjs().toISOString();
+        writeDbSync(db);
+      }
+    }
+
+    // learned usage: refresh once a day, auto-apply or suggest per item
+    const learnTime = (db.settings.inventory || {}).learnTime || "00:15";
+    const [lnH, lnM] = learnTime.split(":").map(Number);
+    if (bizNow.hour() === lnH && bizNow.minute() === lnM) {
+      const key = `usage_learn__${bizNow.format("YYYY-MM-DD")}`;
+      if (!db.lastSent[key]) {
+        db.lastSent[key] = dayjs().toISOString();
+        for (const item of db.inventory || []) {
+          const mode = learnUsageMode(item);
+          if (mode === "off") continue;
+          const obs = getObservedUsage(item.id);
+          if (!obs || obs.days < 7 || !obs.avg7) continue;
+          if (mode === "auto") {
+            applyObservedUsage(item, obs);
+            logAudit("system", "usage_learned_auto", `${item.id}|${item.dailyUsage}`);
+            continue;
+          }
+          const current = Number(item.dailyUsage) || 0;
+          const drift = current ? Math.abs(obs.avg7 - current) / current : 1;
+          const lastSug = item._usageSuggestedAt ? dayjs(item._usageSuggestedAt) : null;
+          // uneven week (e.g. busy weekends) is worth a suggestion even if the average fits
+          const uneven =
+            !item.usagePattern &&
+            obs.weekday !== null &&
+            obs.weekend !== null &&
+            Math.abs(obs.weekend - obs.weekday) / Math.max(obs.weekday, obs.weekend, 0.01) >= 0.25;
+          if ((drift < 0.15 && !uneven) || (lastSug && dayjs().diff(lastSug, "day") < 7)) continue;
+          item._usageSuggestion = obs;
+          item._usageSuggestedAt = dayjs().toISOString();
+          const txt =
+            `${E.info} *Usage check — ${item.name}*\n\n` +
+            `Configured: ${current} ${item.unit}/day\n` +
+            `Observed: 7d ${obs.avg7}, 30d ${obs.avg30}\n` +
+            `Weekday ${obs.weekday ?? "-"}, weekend ${obs.weekend ?? "-"}\n\n` +
+            `Apply the observed numbers?`;
+          for (const p of db.partners) {
+            try {
+              await bot.api.sendMessage(String(p.id), txt, {
+                parse_mode: "Markdown",
+                reply_markup: new InlineKeyboard()
+                  .text("✅ Apply", `invlearn:${item.id}:apply`)
+                  .text("✖️ Keep current", `invlearn:${item.id}:ignore`)
+              });
+            } catch (e) {
+              console.error("usage suggestion send err", e.message);
+            }
+          }
+        }
+        writeDbSync(db);
+      }
+    }
+
     // INVENTORY CHECKS (low + critical) — with ack + no double alert
     reloadDb();
     for (const item of db.inventory || []) {
@@ -2056,7 +6899,7 @@ setInterval(async () => {
             `Stock: ${item.stock} ${item.unit}\n` +
             `Daily usage: ${item.dailyUsage}\n` +
             `Approx days left: ~${Math.floor(daysLeft)} day(s)\n\n` +
-            `Immediate action required — arrange purchase now.`;
+            `Immediate action required — arrange purchase now (/reorder drafts the order).`;
           for (const p of db.partners) {
             await bot.api.sendMessage(String(p.id), txt, {
               parse_mode: "Markdown",
@@ -2090,13 +6933,55 @@ setInterval(async () => {
       }
     }
 
+    // heartbeat monitoring — one DOWN alert per outage, RECOVERED is sent by the endpoint
+    for (const [devId, dev] of Object.entries(db.heartbeats || {})) {
+      if (!dev.lastSeen || dev.status === "down") continue;
+      const silentMin = dayjs().diff(dayjs(dev.lastSeen), "minute", true);
+      if (silentMin < deviceThreshold(dev)) continue;
+      // plain text: device ids like kitchen_tablet break Markdown parsing
+      let delivered = 0;
+      for (const p of db.partners) {
+        try {
+          await bot.api.sendMessage(
+            String(p.id),
+            `${E.critical} DEVICE DOWN: ${deviceLabel(devId, dev)}\n` +
+              `No heartbeat for ${fmtMinutes(silentMin)} (last seen ${dayjs(dev.lastSeen)
+                .tz("Asia/Kolkata")
+                .format("YYYY-MM-DD HH:mm")}).`
+          );
+          delivered++;
+        } catch (e) {
+          console.error("device down send err", e.message);
+        }
+      }
+      // only mark the outage once someone has been told, so a failed alert is retried next tick
+      if (db.partners.length && !delivered) continue;
+      dev.status = "down";
+      dev.downSince = dev.lastSeen;
+      writeDbSync(db);
+      logAudit("system", "device_down", `${devId}|${Math.round(silentMin)}m`);
+    }
+
+    // rolling backups
+    const backupHours = Number((db.settings.backup || {}).intervalHours || 6);
+    const lastBackup = db.lastSent.db_backup;
+    if (!lastBackup || dayjs().diff(dayjs(lastBackup), "hour", true) >= backupHours) {
+      try {
+        createBackup(db);
+        db.lastSent.db_backup = dayjs().toISOString();
+        writeDbSync(db);
+      } catch (e) {
+        console.error("backup err", e.message);
+      }
+    }
+
   } catch (err) {
     console.error("scheduler error", err);
   }
 }, 30 * 1000);
 
 // heartbeat endpoint
-app.get("/heartbeat/:id", (req, res) => {
+app.get("/heartbeat/:id", async (req, res) => {
   try {
     const id = String(req.params.id || "unknown");
     const secret = req.query.secret || "";
@@ -2104,11 +6989,39 @@ app.get("/heartbeat/:id", (req, res) => {
     reloadDb();
     db.heartbeats = db.heartbeats || {};
     db.heartbeats[id] = db.heartbeats[id] || {};
-    db.heartbeats[id].lastSeen = dayjs().toISOString();
-    db.heartbeats[id].status = "ok";
+    const dev = db.heartbeats[id];
+    const wasDown = dev.status === "down";
+    const now = dayjs();
+    dev.lastSeen = now.toISOString();
+    dev.status = "ok";
+    if (wasDown) {
+      dev.lastOutage = {
+        from: dev.downSince,
+        to: now.toISOString(),
+        minutes: Math.round(now.diff(dayjs(dev.downSince), "minute", true))
+      };
+      delete dev.downSince;
+    }
     writeDbSync(db);
-    return res.send("OK");
+    res.send("OK");
+
+    if (wasDown) {
+      logAudit("system", "device_recovered", `${id}|${dev.lastOutage.minutes}m`);
+      for (const p of db.partners) {
+        try {
+          await bot.api.sendMessage(
+            String(p.id),
+            `${E.ok} RECOVERED: ${deviceLabel(id, dev)} is back online after ${fmtMinutes(
+              dev.lastOutage.minutes
+            )} down.`
+          );
+        } catch (e) {
+          console.error("device recovered send err", e.message);
+        }
+      }
+    }
   } catch (err) {
+    if (res.headersSent) return console.error("heartbeat notify error", err);
     console.error("heartbeat error", err);
     return res.status(500).send("error");
   }